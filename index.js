@@ -0,0 +1,32 @@
+const logger = require('./src/logger');
+const tradingBot = require('./src/tradingBot');
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.error(`Received ${signal} again, exiting immediately`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+
+    logger.high(`Received ${signal}, shutting down gracefully`);
+    console.log(`Received ${signal}, finishing in-flight trades before exiting (send again to force)`);
+
+    try {
+        await tradingBot.stop();
+        process.exit(0);
+    } catch (error) {
+        logger.error(`Error during shutdown: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+tradingBot.start().catch(error => {
+    logger.error(`Fatal error: ${error.message}`);
+    console.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,241 @@
+const AgeMomentumStrategy = require('./strategies/ageMomentum');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Holding time histogram buckets, upper bounds exclusive
+const HOLDING_BUCKETS = [
+    { label: '<5m', maxMs: 5 * 60 * 1000 },
+    { label: '5-15m', maxMs: 15 * 60 * 1000 },
+    { label: '15m-1h', maxMs: HOUR_MS },
+    { label: '1-4h', maxMs: 4 * HOUR_MS },
+    { label: '4-24h', maxMs: 24 * HOUR_MS },
+    { label: '>24h', maxMs: Infinity }
+];
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, pct) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(pct / 100 * sorted.length) - 1)];
+}
+
+// Performance analytics over a trade list and an equity curve, the same for live, paper
+// and backtested trading. Trades are normalized to:
+//
+//   { mint, symbol, strategy, entryTime, exitTime, costLamports, pnlLamports, pnlPct, tokenAgeHours }
+//
+// and the equity curve is [{ timestamp, equitySol }]. Sharpe and Sortino ratios are per
+// equity sample (not annualized) since sample spacing depends on where the curve came from.
+class Analytics {
+    // Token age at entry in the same buckets applyAgeBuyingCriteria uses, plus one for
+    // pairs past its 24 hour window (entries made by other strategies or by hand)
+    ageBucket(tokenAgeHours) {
+        if (tokenAgeHours === null || tokenAgeHours === undefined || !Number.isFinite(tokenAgeHours)) return 'Unknown';
+        if (tokenAgeHours < 1) return AgeMomentumStrategy.AGE_BUCKETS.veryRecent;
+        return tokenAgeHours <= 24 ? AgeMomentumStrategy.AGE_BUCKETS.recent : 'Older (>24h)';
+    }
+
+    tokenAgeHours(pairCreatedAt, entryTime) {
+        if (!pairCreatedAt || !entryTime) return null;
+        return (new Date(entryTime).getTime() - new Date(pairCreatedAt).getTime()) / HOUR_MS;
+    }
+
+    // Trades from a backtester report
+    fromBacktest(report) {
+        return report.trades.map(trade => ({
+            mint: trade.mint,
+            symbol: trade.symbol,
+            strategy: trade.strategy || report.strategy,
+            entryTime: trade.entryTime,
+            exitTime: trade.exitTime,
+            costLamports: trade.costLamports,
+            pnlLamports: trade.pnlLamports,
+            pnlPct: trade.pnlPct,
+            tokenAgeHours: this.tokenAgeHours(trade.pairCreatedAt, trade.entryTime)
+        }));
+    }
+
+    // Trades from positionManager's closed positions (live or paper)
+    fromPositions(closedPositions) {
+        return closedPositions.map(position => {
+            const costLamports = position.fills
+                .filter(fill => fill.side === 'buy')
+                .reduce((sum, fill) => sum + Number(fill.inAmount) + fill.feeLamports, 0);
+            return {
+                mint: position.mint,
+                symbol: position.symbol,
+                strategy: position.strategy,
+                entryTime: position.openedAt,
+                exitTime: position.closedAt,
+                costLamports,
+                pnlLamports: position.realizedPnlLamports,
+                pnlPct: costLamports > 0 ? position.realizedPnlLamports / costLamports * 100 : null,
+                tokenAgeHours: this.tokenAgeHours(position.pairCreatedAt, position.openedAt)
+            };
+        });
+    }
+
+    // Realized equity after each exit, for trade lists that come without an equity curve
+    equityFromTrades(trades, startingSol) {
+        const sorted = [...trades].sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+        const firstEntry = Math.min(...trades.map(trade => new Date(trade.entryTime).getTime()));
+        let equitySol = startingSol;
+        const curve = [{ timestamp: trades.length > 0 ? firstEntry : Date.now(), equitySol }];
+        sorted.forEach(trade => {
+            equitySol += trade.pnlLamports / 1e9;
+            curve.push({ timestamp: new Date(trade.exitTime).getTime(), equitySol });
+        });
+        return curve;
+    }
+
+    returns(equityCurve) {
+        return equityCurve.slice(1).map((point, index) =>
+            (point.equitySol - equityCurve[index].equitySol) / equityCurve[index].equitySol);
+    }
+
+    sharpeRatio(equityCurve) {
+        const returns = this.returns(equityCurve);
+        if (returns.length < 2) return 0;
+
+        const average = mean(returns);
+        const variance = returns.reduce((sum, value) => sum + (value - average) ** 2, 0) / (returns.length - 1);
+        return variance > 0 ? average / Math.sqrt(variance) : 0;
+    }
+
+    // Like Sharpe, but only downside deviation counts as risk
+    sortinoRatio(equityCurve) {
+        const returns = this.returns(equityCurve);
+        if (returns.length < 2) return 0;
+
+        const downsideDeviation = Math.sqrt(mean(returns.map(value => Math.min(value, 0) ** 2)));
+        return downsideDeviation > 0 ? mean(returns) / downsideDeviation : 0;
+    }
+
+    // Deepest peak-to-trough fall, and the longest time spent below a previous peak
+    // (up to the end of the curve when equity never recovered)
+    drawdown(equityCurve) {
+        const result = { maxDrawdownPct: 0, peakAt: null, troughAt: null, maxDurationMs: 0, recovered: true };
+        if (equityCurve.length === 0) return result;
+
+        let peak = equityCurve[0];
+        equityCurve.forEach(point => {
+            if (point.equitySol >= peak.equitySol) {
+                result.maxDurationMs = Math.max(result.maxDurationMs, point.timestamp - peak.timestamp);
+                peak = point;
+                return;
+            }
+
+            const drawdownPct = (peak.equitySol - point.equitySol) / peak.equitySol * 100;
+            if (drawdownPct > result.maxDrawdownPct) {
+                result.maxDrawdownPct = drawdownPct;
+                result.peakAt = new Date(peak.timestamp).toISOString();
+                result.troughAt = new Date(point.timestamp).toISOString();
+            }
+        });
+
+        const last = equityCurve[equityCurve.length - 1];
+        if (last.equitySol < peak.equitySol) {
+            result.maxDurationMs = Math.max(result.maxDurationMs, last.timestamp - peak.timestamp);
+            result.recovered = false;
+        }
+        return result;
+    }
+
+    holdingTimes(trades) {
+        const durations = trades
+            .map(trade => new Date(trade.exitTime) - new Date(trade.entryTime))
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b);
+
+        const histogram = {};
+        HOLDING_BUCKETS.forEach(bucket => {
+            histogram[bucket.label] = 0;
+        });
+        durations.forEach(duration => {
+            histogram[HOLDING_BUCKETS.find(bucket => duration < bucket.maxMs).label]++;
+        });
+
+        return {
+            minMs: durations.length > 0 ? durations[0] : null,
+            medianMs: percentile(durations, 50),
+            meanMs: mean(durations),
+            p90Ms: percentile(durations, 90),
+            maxMs: durations.length > 0 ? durations[durations.length - 1] : null,
+            histogram
+        };
+    }
+
+    // Win rate, average win and loss, and expectancy (average PnL per trade)
+    tradeStats(trades) {
+        const wins = trades.filter(trade => trade.pnlLamports > 0);
+        const losses = trades.filter(trade => trade.pnlLamports <= 0);
+        const pct = list => mean(list.map(trade => trade.pnlPct).filter(Number.isFinite));
+        const sol = list => list.length > 0 ? list.reduce((sum, trade) => sum + trade.pnlLamports, 0) / 1e9 / list.length : null;
+        const winRate = trades.length > 0 ? wins.length / trades.length : null;
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate,
+            totalPnlSol: trades.reduce((sum, trade) => sum + trade.pnlLamports, 0) / 1e9,
+            averageWinPct: pct(wins),
+            averageLossPct: pct(losses),
+            averageWinSol: sol(wins),
+            averageLossSol: sol(losses),
+            expectancyPct: pct(trades),
+            expectancySol: sol(trades),
+            holdingTime: this.holdingTimes(trades)
+        };
+    }
+
+    // Win rate and payoff ratio (average win over average loss) for Kelly sizing, or null
+    // while there are fewer than minTrades trades or no wins and losses to compare
+    sizingStats(trades, minTrades = 20) {
+        if (trades.length < minTrades) return null;
+
+        const stats = this.tradeStats(trades);
+        if (!stats.averageWinSol || !stats.averageLossSol) return null;
+        return {
+            trades: stats.trades,
+            winRate: stats.winRate,
+            payoffRatio: stats.averageWinSol / Math.abs(stats.averageLossSol)
+        };
+    }
+
+    groupBy(trades, keyFn) {
+        const groups = {};
+        trades.forEach(trade => {
+            const key = keyFn(trade);
+            (groups[key] = groups[key] || []).push(trade);
+        });
+        return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, this.tradeStats(group)]));
+    }
+
+    // Full report. Without an equity curve one is built from realized PnL, which needs
+    // startingSol.
+    analyze({ trades, equityCurve = null, startingSol = null }) {
+        const curve = equityCurve && equityCurve.length > 0
+            ? equityCurve
+            : this.equityFromTrades(trades, startingSol || 0);
+        const first = curve[0].equitySol;
+        const last = curve[curve.length - 1].equitySol;
+
+        return {
+            from: new Date(curve[0].timestamp).toISOString(),
+            to: new Date(curve[curve.length - 1].timestamp).toISOString(),
+            totalReturnPct: first > 0 ? (last - first) / first * 100 : null,
+            sharpe: this.sharpeRatio(curve),
+            sortino: this.sortinoRatio(curve),
+            drawdown: this.drawdown(curve),
+            ...this.tradeStats(trades),
+            byStrategy: this.groupBy(trades, trade => trade.strategy || 'unknown'),
+            byAgeBucket: this.groupBy(trades, trade => this.ageBucket(trade.tokenAgeHours))
+        };
+    }
+}
+
+module.exports = new Analytics();
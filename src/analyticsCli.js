@@ -0,0 +1,72 @@
+// Performance report for closed positions (live or paper) or a saved backtest report
+//
+//   node src/analyticsCli.js positions [--starting-sol 10]
+//   node src/analyticsCli.js backtest data/backtests/<report>.json
+
+const fs = require('fs');
+const config = require('./config');
+const analytics = require('./analytics');
+
+function formatBreakdown(groups) {
+    return Object.fromEntries(Object.entries(groups).map(([key, stats]) => [key, {
+        trades: stats.trades,
+        winRate: stats.winRate === null ? '' : `${(stats.winRate * 100).toFixed(1)}%`,
+        totalPnlSol: stats.totalPnlSol.toFixed(4),
+        avgWinPct: stats.averageWinPct === null ? '' : stats.averageWinPct.toFixed(2),
+        avgLossPct: stats.averageLossPct === null ? '' : stats.averageLossPct.toFixed(2),
+        expectancyPct: stats.expectancyPct === null ? '' : stats.expectancyPct.toFixed(2),
+        medianHoldMin: stats.holdingTime.medianMs === null ? '' : (stats.holdingTime.medianMs / 60000).toFixed(1)
+    }]));
+}
+
+function printReport(report) {
+    const { byStrategy, byAgeBucket, holdingTime, ...summary } = report;
+    console.log(summary);
+    console.log('Holding time distribution:', holdingTime.histogram);
+    console.log('By strategy:');
+    console.table(formatBreakdown(byStrategy));
+    console.log('By token age at entry:');
+    console.table(formatBreakdown(byAgeBucket));
+}
+
+function main() {
+    const [command, ...rest] = process.argv.slice(2);
+
+    switch (command) {
+        case 'positions': {
+            // Loaded here so backtest reports can be read without wallet configuration
+            const positionManager = require('./positionManager');
+            const index = rest.indexOf('--starting-sol');
+            const startingSol = index >= 0 ? parseFloat(rest[index + 1]) : config.PAPER_STARTING_SOL || 10;
+
+            const trades = analytics.fromPositions(positionManager.getClosedPositions());
+            if (trades.length === 0) {
+                console.log('No closed positions yet');
+                return;
+            }
+            printReport(analytics.analyze({ trades, startingSol }));
+            break;
+        }
+        case 'backtest': {
+            if (!rest[0]) {
+                throw new Error('Usage: node src/analyticsCli.js backtest <report file>');
+            }
+            const report = JSON.parse(fs.readFileSync(rest[0], 'utf8'));
+            printReport(analytics.analyze({
+                trades: analytics.fromBacktest(report),
+                equityCurve: report.equityCurve,
+                startingSol: report.summary.startingSol
+            }));
+            break;
+        }
+        default:
+            throw new Error('Usage: node src/analyticsCli.js <positions|backtest>');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
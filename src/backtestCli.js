@@ -0,0 +1,115 @@
+// Run backtests over recorded market data (see marketDataRecorder.js), offline
+//
+//   node src/backtestCli.js run [--strategy ageMomentum] [--from 2026-10-01] [--to 2026-10-19]
+//                               [--trade-sol 0.1] [--starting-sol 10]
+//   node src/backtestCli.js optimize [--method grid|random] [--objective return|sharpe|drawdown]
+//                                    [--samples 100] [--seed 1] [--from ...] [--to ...]
+//   node src/backtestCli.js walkforward [--in-sample-hours 72] [--out-of-sample-hours 24]
+//                                       [--step-hours 24] [--method ...] [--objective ...] [--samples 50]
+//
+// Backtest reports (trades and equity curve) are written to data/backtests/; the best
+// optimizer result is exported to data/optimizer/ for use as STRATEGY_OPTIONS_FILE.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const backtester = require('./backtester');
+const optimizer = require('./optimizer');
+const walkForward = require('./walkForward');
+
+function parseArgs(args) {
+    const options = {};
+    for (let index = 0; index < args.length; index += 2) {
+        const name = args[index].replace(/^--/, '');
+        options[name] = args[index + 1];
+    }
+    return options;
+}
+
+function saveReport(name, report) {
+    const dir = path.join(config.DATA_DIR, 'backtests');
+    const file = path.join(dir, `${name}_${new Date().toISOString().replace(/:/g, '-')}.json`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const args = parseArgs(rest);
+    const range = {
+        from: args.from ? new Date(args.from).getTime() : 0,
+        to: args.to ? new Date(args.to).getTime() : Date.now()
+    };
+
+    switch (command) {
+        case 'run': {
+            const options = { ...range, strategyName: args.strategy || 'ageMomentum' };
+            if (args['trade-sol']) options.tradeSol = parseFloat(args['trade-sol']);
+            if (args['starting-sol']) options.startingSol = parseFloat(args['starting-sol']);
+
+            const report = await backtester.run(options);
+            console.table(report.trades.map(trade => ({
+                symbol: trade.symbol,
+                entry: trade.entryTime,
+                exit: trade.exitTime,
+                pnlPct: trade.pnlPct.toFixed(2),
+                rule: trade.rule
+            })));
+            console.log(report.summary);
+            console.log(`Report saved to ${saveReport(report.strategy, report)}`);
+            break;
+        }
+        case 'optimize': {
+            const result = await optimizer.optimize({
+                ...range,
+                method: args.method || 'grid',
+                objective: args.objective || 'sharpe',
+                samples: args.samples ? parseInt(args.samples, 10) : undefined,
+                seed: args.seed ? parseInt(args.seed, 10) : undefined
+            });
+            console.log(`Evaluated ${result.evaluated} parameter sets, ${result.ranked.length} ranked by ${result.objective}`);
+            console.table(result.ranked.slice(0, 10).map(entry => ({
+                score: entry.score.toFixed(4),
+                returnPct: entry.summary.returnPct.toFixed(2),
+                maxDrawdownPct: entry.summary.maxDrawdownPct.toFixed(2),
+                trades: entry.summary.trades,
+                ...entry.params
+            })));
+            if (result.ranked.length > 0) {
+                console.log(`Best parameters exported to ${optimizer.exportConfig(result.ranked[0], result.strategyName)}`);
+            }
+            break;
+        }
+        case 'walkforward': {
+            const hours = value => parseFloat(value) * 60 * 60 * 1000;
+            const options = { ...range };
+            if (args['in-sample-hours']) options.inSampleMs = hours(args['in-sample-hours']);
+            if (args['out-of-sample-hours']) options.outOfSampleMs = hours(args['out-of-sample-hours']);
+            if (args['step-hours']) options.stepMs = hours(args['step-hours']);
+            if (args.method) options.method = args.method;
+            if (args.objective) options.objective = args.objective;
+            if (args.samples) options.samples = parseInt(args.samples, 10);
+            if (args.seed) options.seed = parseInt(args.seed, 10);
+
+            const result = await walkForward.run(options);
+            console.table(result.windows.map(window => ({
+                outOfSample: window.outOfSample.from,
+                inSampleScore: window.skipped ? 'skipped' : window.inSampleScore.toFixed(4),
+                outOfSampleScore: window.skipped ? '' : window.outOfSampleScore.toFixed(4),
+                inSamplePctDay: window.skipped ? '' : window.inSampleDailyReturnPct.toFixed(3),
+                outOfSamplePctDay: window.skipped ? '' : window.outOfSampleDailyReturnPct.toFixed(3)
+            })));
+            console.log(result.aggregate);
+            console.log(`Report saved to ${saveReport(`walkforward_${result.strategyName}`, result)}`);
+            break;
+        }
+        default:
+            throw new Error('Usage: node src/backtestCli.js <run|optimize|walkforward> [--from date] [--to date] ...');
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,246 @@
+const config = require('./config');
+const logger = require('./logger');
+const marketDataRecorder = require('./marketDataRecorder');
+const strategies = require('./strategies');
+const positionMonitor = require('./positionMonitor');
+
+// Replays recorded DexScreener pair snapshots through a strategy, offline. Snapshots are
+// grouped into ticks of scanIntervalMs (the latest snapshot of each pair in the tick);
+// each tick the strategy sees the tick's pairs as candidates, one per base token as live
+// discovery returns them (the strategy applies its own age window), the exit rules are
+// checked against the pairs' prices, and entries and exits are filled against a simple
+// pool model:
+//
+//   impact = size / (liquidity / 2 + size)   constant-product impact on one side of the pool
+//   fill   = price * (1 ± impact) then the pool fee, plus the network fee per swap
+//
+// Everything is accounted in SOL, using the SOL price implied by SOL-quoted pairs.
+// Resize intents are not simulated; positions are entered once at tradeSol.
+class Backtester {
+    constructor() {
+        this.defaults = {
+            startingSol: config.PAPER_STARTING_SOL || 10,
+            tradeSol: 0.1,
+            maxOpenPositions: config.MAX_OPEN_POSITIONS || 5,
+            scanIntervalMs: config.TRADE_INTERVAL_MS,
+            poolFeeBps: 25,
+            networkFeeLamports: config.PAPER_FEE_LAMPORTS || 5000,
+            solPriceUsd: null // Fixed SOL price; derived from the data when null
+        };
+    }
+
+    // Load pair snapshots from the recorder and group them into ticks, oldest first
+    async loadTicks({ from = 0, to = Date.now(), scanIntervalMs = this.defaults.scanIntervalMs } = {}) {
+        const ticks = [];
+        let current = null;
+
+        for await (const entry of marketDataRecorder.read('pairs', { from, to })) {
+            const tickTime = Math.floor(entry.timestamp / scanIntervalMs) * scanIntervalMs;
+            if (!current || current.timestamp !== tickTime) {
+                current = { timestamp: tickTime, pairs: new Map() };
+                ticks.push(current);
+            }
+            current.pairs.set(entry.key, entry.data);
+        }
+
+        logger.high(`Loaded ${ticks.length} ticks of pair snapshots for backtest`);
+        return ticks.map(tick => ({ timestamp: tick.timestamp, pairs: [...tick.pairs.values()] }));
+    }
+
+    // SOL price implied by SOL-quoted pairs (priceUsd / priceNative), median over the tick
+    getSolPriceUsd(pairs) {
+        const implied = pairs
+            .filter(pair => pair.quoteToken?.address === config.SOL_MINT && parseFloat(pair.priceNative) > 0)
+            .map(pair => parseFloat(pair.priceUsd) / parseFloat(pair.priceNative))
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b);
+        return implied.length > 0 ? implied[Math.floor(implied.length / 2)] : null;
+    }
+
+    // One pair per base token, the last recorded, as getRecentTokens dedupes live pairs
+    getCandidates(pairs) {
+        return [...new Map(pairs
+            .filter(pair => pair.baseToken?.address && pair.baseToken.address !== config.SOL_MINT)
+            .map(pair => [pair.baseToken.address, pair])).values()];
+    }
+
+    // Fill price in USD per token for a swap of sizeUsd against a pool of liquidityUsd
+    simulateFillPrice(priceUsd, liquidityUsd, sizeUsd, side, poolFeeBps) {
+        const depth = Math.max(liquidityUsd / 2, 1);
+        const impact = sizeUsd / (depth + sizeUsd);
+        const fee = poolFeeBps / 10000;
+        return side === 'buy'
+            ? priceUsd * (1 + impact) / (1 - fee)
+            : priceUsd * (1 - impact) * (1 - fee);
+    }
+
+    // options: { strategy | strategyName, strategyOptions, ticks | from/to, plus any of
+    // this.defaults }. Returns { trades, equityCurve, summary }.
+    async run(options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const strategy = options.strategy
+            || strategies.create(options.strategyName || 'ageMomentum', { ...options.strategyOptions, quiet: true });
+        const ticks = options.ticks || await this.loadTicks(settings);
+        const rules = { ...positionMonitor.defaultRules, ...strategy.exitRules };
+
+        let cashLamports = Math.floor(settings.startingSol * 1e9);
+        let feesLamports = 0;
+        let solPriceUsd = settings.solPriceUsd;
+        const positions = new Map();
+        const latest = new Map(); // Last seen pair per token mint
+        const trades = [];
+        const equityCurve = [];
+
+        const exit = (position, pair, now, reason, rule) => {
+            const priceUsd = parseFloat(pair.priceUsd);
+            const valueUsd = position.tokens * priceUsd;
+            const fillPrice = this.simulateFillPrice(priceUsd, parseFloat(pair.liquidity?.usd) || 0, valueUsd, 'sell', settings.poolFeeBps);
+            const proceedsLamports = Math.floor(position.tokens * fillPrice / solPriceUsd * 1e9) - settings.networkFeeLamports;
+
+            cashLamports += proceedsLamports;
+            feesLamports += settings.networkFeeLamports;
+            positions.delete(position.mint);
+
+            const pnlLamports = proceedsLamports - position.costLamports;
+            trades.push({
+                mint: position.mint,
+                symbol: position.symbol,
+                strategy: position.strategy,
+                pairCreatedAt: position.pairCreatedAt,
+                entryTime: position.openedAt,
+                exitTime: new Date(now).toISOString(),
+                entryPriceUsd: position.entryPriceUsd,
+                exitPriceUsd: priceUsd,
+                costLamports: position.costLamports,
+                proceedsLamports,
+                pnlLamports,
+                pnlPct: pnlLamports / position.costLamports * 100,
+                rule,
+                reason
+            });
+        };
+
+        for (const tick of ticks) {
+            const now = tick.timestamp;
+            solPriceUsd = settings.solPriceUsd || this.getSolPriceUsd(tick.pairs) || solPriceUsd;
+            if (!solPriceUsd) continue;
+
+            tick.pairs.forEach(pair => {
+                if (pair.baseToken?.address && parseFloat(pair.priceUsd) > 0) {
+                    latest.set(pair.baseToken.address, pair);
+                }
+            });
+
+            const prices = new Map([...positions.keys()]
+                .filter(mint => latest.has(mint))
+                .map(mint => [mint, parseFloat(latest.get(mint).priceUsd)]));
+
+            // Exit rules, as the position monitor would apply them
+            for (const position of [...positions.values()]) {
+                const priceUsd = prices.get(position.mint);
+                if (!priceUsd) continue;
+                position.highWaterPriceUsd = Math.max(position.highWaterPriceUsd || 0, priceUsd);
+
+                const triggered = positionMonitor.evaluateExitRules(position, priceUsd, rules, now);
+                if (triggered) {
+                    exit(position, latest.get(position.mint), now, triggered.reason, triggered.rule);
+                }
+            }
+
+            const intents = strategy.evaluate({
+                candidates: this.getCandidates(tick.pairs),
+                marketData: { solPriceUsd, prices },
+                positions: [...positions.values()],
+                now
+            });
+
+            for (const intent of intents) {
+                const pair = latest.get(intent.mint);
+                if (intent.type === 'exit' && positions.has(intent.mint) && pair) {
+                    exit(positions.get(intent.mint), pair, now, intent.reason, 'strategy');
+                }
+            }
+
+            for (const intent of intents.filter(intent => intent.type === 'entry')) {
+                if (positions.size >= settings.maxOpenPositions || positions.has(intent.mint)) continue;
+                if (trades.some(trade => trade.mint === intent.mint && trade.exitTime === new Date(now).toISOString())) continue;
+
+                const pair = intent.token;
+                const priceUsd = parseFloat(pair.priceUsd);
+                const costLamports = Math.floor(settings.tradeSol * 1e9);
+                if (!(priceUsd > 0) || cashLamports < costLamports + settings.networkFeeLamports) continue;
+
+                const sizeUsd = settings.tradeSol * solPriceUsd;
+                const fillPrice = this.simulateFillPrice(priceUsd, parseFloat(pair.liquidity?.usd) || 0, sizeUsd, 'buy', settings.poolFeeBps);
+
+                cashLamports -= costLamports + settings.networkFeeLamports;
+                feesLamports += settings.networkFeeLamports;
+                positions.set(intent.mint, {
+                    mint: intent.mint,
+                    symbol: pair.baseToken?.symbol,
+                    strategy: strategy.name,
+                    tokens: sizeUsd / fillPrice,
+                    costLamports: costLamports + settings.networkFeeLamports,
+                    // Cost per token including impact, pool and network fees
+                    avgCostUsd: (costLamports + settings.networkFeeLamports) / 1e9 * solPriceUsd / (sizeUsd / fillPrice),
+                    entryPriceUsd: priceUsd,
+                    highWaterPriceUsd: priceUsd,
+                    pairCreatedAt: pair.pairCreatedAt || null,
+                    openedAt: new Date(now).toISOString()
+                });
+            }
+
+            const positionsLamports = [...positions.values()].reduce((sum, position) => {
+                const pair = latest.get(position.mint);
+                return sum + (pair ? position.tokens * parseFloat(pair.priceUsd) / solPriceUsd * 1e9 : position.costLamports);
+            }, 0);
+            equityCurve.push({ timestamp: now, equitySol: (cashLamports + positionsLamports) / 1e9, openPositions: positions.size });
+        }
+
+        // Close what is left at the last seen price so every entry appears in the trade list
+        const lastTime = ticks.length > 0 ? ticks[ticks.length - 1].timestamp : Date.now();
+        for (const position of [...positions.values()]) {
+            exit(position, latest.get(position.mint), lastTime, 'End of backtest', 'end');
+        }
+
+        const report = {
+            strategy: strategy.name,
+            from: ticks.length > 0 ? new Date(ticks[0].timestamp).toISOString() : null,
+            to: ticks.length > 0 ? new Date(lastTime).toISOString() : null,
+            trades,
+            equityCurve,
+            summary: this.summarize(trades, equityCurve, settings.startingSol, cashLamports, feesLamports)
+        };
+
+        logger.high(`Backtest of ${strategy.name}: ${trades.length} trades, return ${report.summary.returnPct.toFixed(2)}%, max drawdown ${report.summary.maxDrawdownPct.toFixed(2)}%`);
+        return report;
+    }
+
+    summarize(trades, equityCurve, startingSol, cashLamports, feesLamports) {
+        const wins = trades.filter(trade => trade.pnlLamports > 0);
+        const losses = trades.filter(trade => trade.pnlLamports <= 0);
+
+        let peak = startingSol;
+        let maxDrawdownPct = 0;
+        equityCurve.forEach(point => {
+            peak = Math.max(peak, point.equitySol);
+            maxDrawdownPct = Math.max(maxDrawdownPct, (peak - point.equitySol) / peak * 100);
+        });
+
+        const endingSol = cashLamports / 1e9;
+        return {
+            startingSol,
+            endingSol,
+            returnPct: (endingSol - startingSol) / startingSol * 100,
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: trades.length > 0 ? wins.length / trades.length : null,
+            averagePnlPct: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.pnlPct, 0) / trades.length : null,
+            maxDrawdownPct,
+            feesSol: feesLamports / 1e9
+        };
+    }
+}
+
+module.exports = new Backtester();
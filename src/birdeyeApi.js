@@ -1,6 +1,7 @@
 const axios = require('axios');
 const config = require('./config');
 const logger = require('./logger');
+const marketDataRecorder = require('./marketDataRecorder');
 
 class BirdeyeApi {
     constructor() {
@@ -68,6 +69,7 @@ class BirdeyeApi {
                 throw new Error('Invalid price data received');
             }
 
+            marketDataRecorder.recordBirdeyePrice(tokenAddress, data);
             logger.deep(`Successfully retrieved price data: ${JSON.stringify(data)}`);
             return data;
         } catch (error) {
@@ -91,6 +93,7 @@ class BirdeyeApi {
                 time_to: time_to
             });
 
+            marketDataRecorder.recordBirdeyeHistory(tokenAddress, data);
             logger.deep(`Successfully retrieved historical price for ${tokenAddress}`);
             return data;
         } catch (error) {
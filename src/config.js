@@ -1,13 +1,77 @@
 require('dotenv').config();
 
 module.exports = {
-  SOLANA_PRIVATE_KEY: process.env.SOLANA_PRIVATE_KEY,
+  SOLANA_PRIVATE_KEY: process.env.SOLANA_PRIVATE_KEY, // Plaintext key, paper mode only
+  KEYSTORE_PATH: process.env.KEYSTORE_PATH,           // Encrypted keystore, see keystore.js
+  KEYSTORE_PASSPHRASE: process.env.KEYSTORE_PASSPHRASE, // Prompted for on a terminal when unset; in .env it sits next to the keystore and defeats it
   BIRDEYE_API_KEY: process.env.BIRDEYE_API_KEY,
   SOLANA_RPC_URL: process.env.SOLANA_RPC_URL,
+  WALLETS_FILE: process.env.WALLETS_FILE, // JSON list of additional wallets, see walletRegistry.js
   LOG_LEVEL: process.env.LOG_LEVEL,
-  TRADE_AMOUNT_CAD: 5,
+  TRADING_MODE: process.env.TRADING_MODE || 'paper', // 'paper' or 'live'
+  DATA_DIR: process.env.DATA_DIR || 'data',
+  SOL_MINT: 'So11111111111111111111111111111111111111112',
+  TRADE_AMOUNT_CAD: 5, // Entry budget, converted to SOL by positionSizing.js
+  POSITION_SIZING: {
+    model: 'fixed',           // 'fixed', 'percentOfEquity', 'volatility' or 'kelly'
+    equityPct: 2,             // percentOfEquity: share of equity per entry
+    targetVolatilityPct: 10,  // volatility: hourly volatility that gets the full budget
+    maxVolatilityScale: 2,    // volatility: never more than this multiple of the budget
+    kellyFraction: 0.25,      // kelly: fraction of the full Kelly bet
+    winRate: null,            // kelly: used until the strategy has kellyMinTrades closed trades
+    payoffRatio: null,
+    kellyMinTrades: 20,       // kelly: closed trades needed before their statistics are used
+    maxPositionSol: 1,
+    minTradeSol: 0.001,       // Skip entries smaller than this
+    capByDepth: true          // Cap at TARGET_PRICE_IMPACT_PCT on measured pool depth
+  },
+  MAX_OPEN_POSITIONS: 5,
+  STRATEGIES: (process.env.STRATEGIES || 'ageMomentum').split(','), // Run side by side, see strategies/
+  STRATEGY_OPTIONS: {}, // Per-strategy options keyed by name, e.g. { ageMomentum: { exitRules: { stopLossPct: 15 } } }
+  STRATEGY_OPTIONS_FILE: process.env.STRATEGY_OPTIONS_FILE, // JSON merged over STRATEGY_OPTIONS, e.g. optimizer output
+  EXIT_RULES: {}, // Overrides for the position monitor defaults (stopLossPct, takeProfitPct, trailingStopPct, maxHoldMs)
+  RISK_LIMITS: {
+    maxTokenExposureSol: 0.5,    // Total cost of one token position
+    maxStrategyExposureSol: 2,   // Total cost of all positions opened by one strategy
+    maxDailyLossSol: 0.5,        // Realized loss since UTC midnight
+    maxConsecutiveLosses: 5,     // Losing trades in a row today
+    minSolReserve: 0.05,         // Always keep this much SOL for fees
+    maxDrawdownPct: 15,          // Equity drop that trips the circuit breaker...
+    drawdownWindowMs: 3600000    // ...when it happens within this window (1 hour)
+  },
+  POSITION_CHECK_INTERVAL_MS: 30000,
   MIN_LIQUIDITY_USD: 10000,
   PROFIT_TARGET: 0.1, // 10%
   SLIPPAGE_BPS: 300,
+  JUPITER_ROUTE_CONSTRAINTS: {
+    excludeDexes: [],        // DEX labels to avoid, e.g. ['Aldrin']
+    dexes: [],               // Restrict routes to these DEX labels
+    onlyDirectRoutes: false,
+    maxAccounts: 64,         // Keeps swap transactions small
+    allowedPools: []         // Vetted AMM keys; empty allows any pool
+  },
+  TARGET_PRICE_IMPACT_PCT: 2, // Largest price impact position sizing should accept
+  HONEYPOT_CHECK_ENABLED: true,
+  HONEYPOT_MAX_ROUND_TRIP_LOSS_PCT: 10, // Reject tokens losing more than this on a buy+sell round trip
+  PAPER_STARTING_SOL: 10,
+  PAPER_FEE_LAMPORTS: 5000, // Estimated network fee per simulated swap
+  PRIORITY_FEE_PERCENTILES: {
+    normal: 50,    // Normal entries
+    fast: 75,      // Fast entries
+    emergency: 95  // Emergency exits
+  },
+  PRIORITY_FEE_MIN_MICROLAMPORTS: 1000,
+  PRIORITY_FEE_MAX_MICROLAMPORTS: 5000000,
+  ORDER_POLL_INTERVAL_MS: 15000,
+  DUST_THRESHOLD_USD: null, // Burn and close token balances worth less than this; null disables
+  RENT_RECLAIM_INTERVAL_MS: 21600000, // 6 hours
+  SWEEP_FEE_RESERVE_SOL: 0.01, // Left in a wallet on top of its budget when sweeping
+  MIN_SWEEP_SOL: 0.05,
+  SWEEP_INTERVAL_MS: 86400000, // 24 hours; profits above wallet budgets go to the reserve wallet
+  TWAP_INTERVAL_MS: 30000,
+  TWAP_MAX_PRICE_MOVE_PCT: 10, // Abort a TWAP if price moves this far against arrival
+  MARKET_DATA_RECORDING: true,       // Keep raw pairs, prices and quotes for backtests
+  MARKET_DATA_RETENTION_DAYS: 90,
+  MARKET_DATA_COMPACT_AFTER_DAYS: 1, // Gzip day files once they are this old
   TRADE_INTERVAL_MS: 300000 // 5 minutes
 };
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const logger = require('./logger');
 const moralisApi = require('./moralisApi');
+const marketDataRecorder = require('./marketDataRecorder');
 
 class DexScreenerDirect {
     constructor() {
@@ -132,6 +133,7 @@ class DexScreenerDirect {
             const pairs = response.data.pairs.filter(pair => 
                 pair.dexId === dexId && pair.chainId === 'solana'
             );
+            marketDataRecorder.recordPairs(pairs);
             
             logger.deep(`Found ${pairs.length} pairs on DEX ${dexId}`);
             
@@ -174,6 +176,7 @@ class DexScreenerDirect {
             }
             
             const pools = response.data;
+            marketDataRecorder.recordPairs(pools);
             
             logger.deep(`Found ${pools.length} pools for token ${tokenAddress}`);
             
@@ -217,6 +220,7 @@ class DexScreenerDirect {
                             pair.chainId === 'solana'
                         );
                         
+                        marketDataRecorder.recordPairs(solanaPairs);
                         allPairs.push(...solanaPairs);
                         logger.deep(`Found ${solanaPairs.length} pairs for query "${query}"`);
                     }
@@ -296,6 +300,7 @@ class DexScreenerDirect {
                             pair.chainId === 'solana'
                         );
                         
+                        marketDataRecorder.recordPairs(solanaPairs);
                         allPairs.push(...solanaPairs);
                         logger.deep(`Found ${solanaPairs.length} pairs for query "${query}"`);
                     }
@@ -0,0 +1,128 @@
+const { VersionedTransaction } = require('@solana/web3.js');
+const Decimal = require('decimal.js');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const jupiterApi = require('./jupiterApi');
+
+// The sell is simulated before the buy, so the wallet has no token account for the mint
+// yet and the simulation fails on that account. These errors are the expected ways it
+// fails and do not count against the token:
+//   AccountNotFound        - transaction level, the source account does not exist
+//   InvalidAccountData,
+//   UninitializedAccount   - the token program reading the missing source account
+//   Custom 1               - SPL token "insufficient funds" (account exists, empty)
+//   Custom 3012            - Anchor AccountNotInitialized, raised by AMM programs
+// Anything else (frozen accounts, transfer hook or AMM errors) still rejects the token.
+const MISSING_ACCOUNT_ERRORS = ['InvalidAccountData', 'UninitializedAccount'];
+const MISSING_ACCOUNT_CUSTOM_ERRORS = [1, 3012];
+
+class HoneypotChecker {
+    constructor() {
+        this.maxRoundTripLossPct = config.HONEYPOT_MAX_ROUND_TRIP_LOSS_PCT || 10;
+        this.simulateSell = false;
+
+        // Rejected tokens and the reason they were rejected
+        this.rejections = new Map();
+    }
+
+    reject(result, reason) {
+        result.passed = false;
+        result.reason = reason;
+        this.rejections.set(result.tokenMint, {
+            reason,
+            roundTripLossPct: result.roundTripLossPct,
+            timestamp: new Date().toISOString()
+        });
+        logger.high(`Rejected ${result.tokenMint}: ${reason}`);
+        logger.token(JSON.stringify(result, null, 2));
+        return result;
+    }
+
+    getRejection(tokenMint) {
+        return this.rejections.get(tokenMint) || null;
+    }
+
+    // Simulate the sell transaction and return the program error, if any
+    async simulateSellTransaction(sellQuote) {
+        const { swapTransaction } = await jupiterApi.getSwapTransaction(sellQuote);
+        const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+        const simulation = await wallet.connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true
+        });
+
+        return {
+            err: simulation.value.err,
+            logs: simulation.value.logs || []
+        };
+    }
+
+    isMissingAccountError(err) {
+        if (err === 'AccountNotFound') return true;
+
+        const instructionError = err?.InstructionError;
+        if (!Array.isArray(instructionError)) return false;
+        const [, error] = instructionError;
+        return MISSING_ACCOUNT_ERRORS.includes(error) || MISSING_ACCOUNT_CUSTOM_ERRORS.includes(error?.Custom);
+    }
+
+    // Quote SOL -> token -> SOL for a buy of the given lamports and reject the token if the
+    // round trip loses more than maxRoundTripLossPct or there is no route back to SOL
+    async check(tokenMint, lamports, options = {}) {
+        const maxLossPct = options.maxRoundTripLossPct || this.maxRoundTripLossPct;
+        const simulateSell = options.simulateSell ?? this.simulateSell;
+        const result = {
+            tokenMint,
+            lamports: String(lamports),
+            passed: false,
+            reason: null,
+            tokenAmount: null,
+            returnedLamports: null,
+            roundTripLossPct: null,
+            simulation: null
+        };
+
+        try {
+            logger.deep(`Checking sell-ability of ${tokenMint} with a ${lamports / 1e9} SOL round trip`);
+
+            const buyQuote = await jupiterApi.getQuote(config.SOL_MINT, tokenMint, lamports);
+            if (!buyQuote) {
+                return this.reject(result, 'No buy route');
+            }
+            result.tokenAmount = buyQuote.outAmount;
+
+            const sellQuote = await jupiterApi.getQuote(tokenMint, config.SOL_MINT, buyQuote.outAmount);
+            if (!sellQuote || new Decimal(sellQuote.outAmount || 0).isZero()) {
+                return this.reject(result, 'No sell route');
+            }
+            result.returnedLamports = sellQuote.outAmount;
+
+            result.roundTripLossPct = new Decimal(1)
+                .minus(new Decimal(sellQuote.outAmount).div(buyQuote.inAmount))
+                .times(100)
+                .toNumber();
+
+            if (result.roundTripLossPct > maxLossPct) {
+                return this.reject(result, `Round-trip loss ${result.roundTripLossPct.toFixed(2)}% exceeds ${maxLossPct}%`);
+            }
+
+            if (simulateSell && wallet.keypair) {
+                result.simulation = await this.simulateSellTransaction(sellQuote);
+                if (result.simulation.err && !this.isMissingAccountError(result.simulation.err)) {
+                    return this.reject(result, `Sell simulation failed: ${JSON.stringify(result.simulation.err)}`);
+                }
+            }
+
+            result.passed = true;
+            this.rejections.delete(tokenMint);
+            logger.deep(`${tokenMint} passed sell-ability check (round-trip loss ${result.roundTripLossPct.toFixed(2)}%)`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to check sell-ability of ${tokenMint}: ${error.message}`);
+            return this.reject(result, `Check failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new HoneypotChecker();
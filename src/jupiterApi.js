@@ -1,23 +1,56 @@
-const { Connection } = require('@solana/web3.js');
+const { Connection, VersionedTransaction } = require('@solana/web3.js');
 const fetch = require('node-fetch');
 const Decimal = require('decimal.js');
 const config = require('./config');
 const logger = require('./logger');
+const marketDataRecorder = require('./marketDataRecorder');
+const wallet = require('./wallet');
+const transactionSender = require('./transactionSender');
+const priorityFees = require('./priorityFees');
 
 class JupiterApi {
     constructor() {
         this.connection = new Connection(config.SOLANA_RPC_URL);
         this.baseUrl = 'https://quote-api.jup.ag/v6';
         this.slippageBps = config.SLIPPAGE_BPS || 100; // Default 1% slippage
+
+        // Depth probing
+        this.referenceSizeFraction = 0.01; // Reference quote is 1% of the probed size
+        this.depthProbeSteps = 6;
+        this.targetImpactPct = config.TARGET_PRICE_IMPACT_PCT || 2;
+        this.maxRouteImpactPct = 5; // Consider routes with <= 5% price impact
+
+        // Swaps sent while the RPC was unreachable, by signature, until lookup tells
+        // whether they landed (see resolveUnknownSwaps)
+        this.unknownSwaps = new Map();
+    }
+
+    // Merge per-call route constraints over the configured defaults; pass null for an unconstrained quote
+    resolveConstraints(constraints = {}) {
+        if (constraints === null) {
+            return {};
+        }
+
+        const resolved = { ...config.JUPITER_ROUTE_CONSTRAINTS, ...constraints };
+        return Object.fromEntries(Object.entries(resolved).filter(([, value]) =>
+            value !== null && value !== undefined && value !== false && !(Array.isArray(value) && value.length === 0)
+        ));
     }
 
-    async getQuote(inputMint, outputMint, amount, slippageBps = this.slippageBps) {
+    // Supported constraints: excludeDexes, dexes (only these DEXes), onlyDirectRoutes,
+    // maxAccounts and allowedPools (vetted AMM keys every hop must use)
+    async getQuote(inputMint, outputMint, amount, slippageBps = this.slippageBps, constraints = {}) {
         try {
             logger.deep(`Getting Jupiter quote for ${amount} tokens`);
-            
-            const response = await fetch(
-                `${this.baseUrl}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${slippageBps}`
-            );
+
+            const applied = this.resolveConstraints(constraints);
+            const params = new URLSearchParams({ inputMint, outputMint, amount, slippageBps });
+            if (applied.excludeDexes) params.set('excludeDexes', applied.excludeDexes.join(','));
+            if (applied.dexes) params.set('dexes', applied.dexes.join(','));
+            if (applied.onlyDirectRoutes) params.set('onlyDirectRoutes', 'true');
+            if (applied.maxAccounts) params.set('maxAccounts', applied.maxAccounts);
+
+            const response = await fetch(`${this.baseUrl}/quote?${params.toString()}`);
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -29,6 +62,17 @@ class JupiterApi {
                 throw new Error('No quote available for this swap');
             }
 
+            // Jupiter has no pool filter, so vetted pools are enforced on the returned route
+            if (applied.allowedPools) {
+                const unvetted = quoteResponse.routePlan
+                    .map(hop => hop.swapInfo?.ammKey)
+                    .filter(ammKey => !applied.allowedPools.includes(ammKey));
+                if (unvetted.length > 0) {
+                    throw new Error(`Route uses unvetted pools: ${unvetted.join(', ')}`);
+                }
+            }
+
+            marketDataRecorder.recordJupiterQuote(quoteResponse);
             logger.deep(`Quote received: ${JSON.stringify(quoteResponse)}`);
             return quoteResponse;
         } catch (error) {
@@ -37,48 +81,163 @@ class JupiterApi {
         }
     }
 
-    calculatePriceImpact(quote) {
+    // Price impact in percent of a quote relative to a much smaller reference quote for
+    // the same pair. Without a reference, falls back to Jupiter's own priceImpactPct estimate.
+    calculatePriceImpact(quote, referenceQuote = null) {
         try {
-            if (!quote || typeof quote.otherAmountThreshold === 'undefined') {
+            if (!quote) {
+                return null;
+            }
+
+            let impact;
+            if (referenceQuote) {
+                // Compare the effective rate of the trade with the near-spot reference rate
+                const rate = new Decimal(quote.outAmount).div(quote.inAmount);
+                const referenceRate = new Decimal(referenceQuote.outAmount).div(referenceQuote.inAmount);
+                if (referenceRate.isZero()) {
+                    return null;
+                }
+                impact = new Decimal(1).minus(rate.div(referenceRate)).times(100);
+            } else if (typeof quote.priceImpactPct !== 'undefined') {
+                impact = new Decimal(quote.priceImpactPct).times(100);
+            } else {
                 return null;
             }
 
-            // Calculate price impact based on output amount vs other amount threshold
-            const outAmount = new Decimal(quote.outAmount);
-            const threshold = new Decimal(quote.otherAmountThreshold);
-            const impact = outAmount.minus(threshold).div(outAmount).times(100);
-            
             logger.deep(`Price impact calculated: ${impact}%`);
-            return Math.abs(impact.toNumber());
+            return Math.max(0, impact.toNumber());
         } catch (error) {
             logger.error(`Failed to calculate price impact: ${error.message}`);
             return null;
         }
     }
 
-    async findBestRoute(inputMint, outputMint, amount) {
+    // Small quote used as the spot price reference for impact calculations
+    async getReferenceQuote(inputMint, outputMint, amount) {
+        const referenceAmount = new Decimal(amount)
+            .times(this.referenceSizeFraction)
+            .floor();
+        return this.getQuote(inputMint, outputMint, Decimal.max(1, referenceAmount).toFixed(0));
+    }
+
+    // Quote a ladder of trade sizes up to maxAmount and measure the real price impact of each.
+    // Returns the impact curve and the largest size that stays under the target impact.
+    async measureDepth(inputMint, outputMint, maxAmount, options = {}) {
+        try {
+            const targetImpactPct = options.targetImpactPct || this.targetImpactPct;
+            const steps = options.steps || this.depthProbeSteps;
+            logger.deep(`Measuring depth for ${inputMint} -> ${outputMint} up to ${maxAmount} (target impact ${targetImpactPct}%)`);
+
+            const referenceQuote = await this.getReferenceQuote(inputMint, outputMint, maxAmount);
+            if (!referenceQuote) {
+                throw new Error('Could not get a reference quote');
+            }
+
+            // Geometric ladder of sizes, e.g. 1/32, 1/16, ... 1/1 of maxAmount
+            const sizes = options.sizes || Array.from({ length: steps }, (_, index) =>
+                new Decimal(maxAmount).div(Math.pow(2, steps - 1 - index)).floor().toFixed(0)
+            );
+
+            const curve = [];
+            for (const size of sizes) {
+                const quote = await this.getQuote(inputMint, outputMint, size);
+                if (!quote) {
+                    logger.deep(`No quote for depth probe size ${size}, stopping probe`);
+                    break;
+                }
+                curve.push({
+                    amount: quote.inAmount,
+                    outAmount: quote.outAmount,
+                    impactPct: this.calculatePriceImpact(quote, referenceQuote)
+                });
+            }
+
+            // Largest size under target, interpolated towards the first size that breaches it
+            let maxSizeUnderTarget = '0';
+            for (let index = 0; index < curve.length; index++) {
+                const point = curve[index];
+                if (point.impactPct <= targetImpactPct) {
+                    maxSizeUnderTarget = point.amount;
+                    continue;
+                }
+
+                const previous = curve[index - 1];
+                if (previous) {
+                    const fraction = (targetImpactPct - previous.impactPct) / (point.impactPct - previous.impactPct);
+                    maxSizeUnderTarget = new Decimal(point.amount).minus(previous.amount)
+                        .times(fraction)
+                        .plus(previous.amount)
+                        .floor()
+                        .toFixed(0);
+                }
+                break;
+            }
+
+            const depth = {
+                inputMint,
+                outputMint,
+                referenceAmount: referenceQuote.inAmount,
+                referenceOutAmount: referenceQuote.outAmount,
+                targetImpactPct,
+                curve,
+                maxSizeUnderTarget
+            };
+
+            logger.token(JSON.stringify(depth, null, 2));
+            return depth;
+        } catch (error) {
+            logger.error(`Failed to measure depth: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Best route under the given constraints, compared with the unconstrained route
+    async findBestRoute(inputMint, outputMint, amount, constraints = {}) {
         try {
             logger.deep(`Finding best route for ${amount} tokens`);
-            const quote = await this.getQuote(inputMint, outputMint, amount);
+            const appliedConstraints = this.resolveConstraints(constraints);
+            const [quote, referenceQuote, unconstrainedQuote] = await Promise.all([
+                this.getQuote(inputMint, outputMint, amount, this.slippageBps, constraints),
+                this.getReferenceQuote(inputMint, outputMint, amount),
+                Object.keys(appliedConstraints).length > 0
+                    ? this.getQuote(inputMint, outputMint, amount, this.slippageBps, null)
+                    : null
+            ]);
             
             if (!quote) {
                 throw new Error('Could not find a valid route');
             }
 
-            const priceImpact = this.calculatePriceImpact(quote);
+            const priceImpact = this.calculatePriceImpact(quote, referenceQuote);
             const analysis = {
                 route: quote.routePlan,
                 outAmount: quote.outAmount,
                 priceImpact: priceImpact,
                 inAmount: quote.inAmount,
-                valid: priceImpact !== null && priceImpact <= 5, // Consider routes with <= 5% price impact
+                valid: priceImpact !== null && priceImpact <= this.maxRouteImpactPct,
                 routeMap: quote.routePlan.map(hop => ({
                     protocol: hop.swapInfo?.label || 'Unknown',
                     inputMint: hop.swapInfo?.inputMint || 'Unknown',
                     outputMint: hop.swapInfo?.outputMint || 'Unknown'
-                }))
+                })),
+                appliedConstraints,
+                unconstrained: null
             };
 
+            if (unconstrainedQuote) {
+                // Positive cost means the constraints give up output compared with the free route
+                analysis.unconstrained = {
+                    outAmount: unconstrainedQuote.outAmount,
+                    priceImpact: this.calculatePriceImpact(unconstrainedQuote, referenceQuote),
+                    hops: unconstrainedQuote.routePlan.length,
+                    constraintCostPct: new Decimal(unconstrainedQuote.outAmount)
+                        .minus(quote.outAmount)
+                        .div(unconstrainedQuote.outAmount)
+                        .times(100)
+                        .toNumber()
+                };
+            }
+
             logger.token(JSON.stringify(analysis, null, 2));
             return analysis;
         } catch (error) {
@@ -86,6 +245,214 @@ class JupiterApi {
             return null;
         }
     }
+
+    // Request a serialized swap transaction for a quote from Jupiter
+    async getSwapTransaction(quote, computeUnitPriceMicroLamports, signer = wallet) {
+        const response = await fetch(`${this.baseUrl}/swap`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                quoteResponse: quote,
+                userPublicKey: signer.keypair.publicKey.toString(),
+                wrapAndUnwrapSol: true,
+                dynamicComputeUnitLimit: true,
+                computeUnitPriceMicroLamports
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Swap request failed with status ${response.status}: ${errorText}`);
+        }
+
+        const swapResponse = await response.json();
+        if (!swapResponse || !swapResponse.swapTransaction) {
+            throw new Error('No swap transaction returned by Jupiter');
+        }
+
+        return swapResponse;
+    }
+
+    // Rent owner paid for token accounts the transaction opened, less rent returned by
+    // accounts it closed (lamports). A temporary wrapped SOL account opened and closed in
+    // the same transaction nets out.
+    getRentChange(transaction, owner) {
+        const { meta } = transaction;
+        const owned = balances => (balances || []).filter(balance => balance.owner === owner);
+        const accountRent = (balance, lamports) => new Decimal(lamports[balance.accountIndex])
+            .minus(balance.mint === config.SOL_MINT ? balance.uiTokenAmount.amount : 0);
+
+        const preIndexes = new Set(owned(meta.preTokenBalances).map(balance => balance.accountIndex));
+        const postIndexes = new Set(owned(meta.postTokenBalances).map(balance => balance.accountIndex));
+
+        const opened = owned(meta.postTokenBalances)
+            .filter(balance => !preIndexes.has(balance.accountIndex))
+            .reduce((sum, balance) => sum.plus(accountRent(balance, meta.postBalances)), new Decimal(0));
+        const closed = owned(meta.preTokenBalances)
+            .filter(balance => !postIndexes.has(balance.accountIndex))
+            .reduce((sum, balance) => sum.plus(accountRent(balance, meta.preBalances)), new Decimal(0));
+
+        return opened.minus(closed);
+    }
+
+    // Net change of a mint's balance held by owner in a confirmed transaction (raw units)
+    getBalanceChange(transaction, owner, mint) {
+        const { meta } = transaction;
+        const sumBalances = balances => (balances || [])
+            .filter(balance => balance.owner === owner && balance.mint === mint)
+            .reduce((sum, balance) => sum.plus(balance.uiTokenAmount.amount), new Decimal(0));
+
+        let change = sumBalances(meta.postTokenBalances).minus(sumBalances(meta.preTokenBalances));
+
+        if (mint === config.SOL_MINT) {
+            // Wrapped SOL is unwrapped back into the wallet, so include the native lamport change
+            // minus the network fee and token account rent, which are not part of the swap amount
+            const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toString());
+            const ownerIndex = accountKeys.indexOf(owner);
+            if (ownerIndex !== -1) {
+                const lamportChange = new Decimal(meta.postBalances[ownerIndex]).minus(meta.preBalances[ownerIndex]);
+                change = change
+                    .plus(lamportChange)
+                    .plus(ownerIndex === 0 ? meta.fee : 0)
+                    .plus(this.getRentChange(transaction, owner));
+            }
+        }
+
+        return change;
+    }
+
+    // Actual amounts of a confirmed swap, read from its transaction
+    async getSwapResult(signature, quote, signer, { urgency, priorityFee }) {
+        const confirmed = await this.connection.getParsedTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        if (!confirmed || !confirmed.meta) {
+            throw new Error(`Confirmed swap transaction ${signature} could not be fetched`);
+        }
+
+        const owner = signer.keypair.publicKey.toString();
+        const feeRecord = priorityFees.recordFeePaid(
+            signature,
+            confirmed.meta.fee,
+            confirmed.transaction.signatures.length,
+            { urgency, computeUnitPriceMicroLamports: priorityFee }
+        );
+        return {
+            signature,
+            inputMint: quote.inputMint,
+            outputMint: quote.outputMint,
+            inAmount: this.getBalanceChange(confirmed, owner, quote.inputMint).neg().toFixed(0),
+            outAmount: this.getBalanceChange(confirmed, owner, quote.outputMint).toFixed(0),
+            quotedOutAmount: quote.outAmount,
+            feeLamports: feeRecord.feeLamports,
+            // Rent for token accounts opened (negative when closed); kept out of inAmount
+            // and outAmount since it is recoverable by closing the account
+            rentLamports: Number(this.getRentChange(confirmed, owner)),
+            priorityFeeLamports: feeRecord.priorityFeeLamports,
+            computeUnitPriceMicroLamports: priorityFee,
+            urgency,
+            slot: confirmed.slot
+        };
+    }
+
+    // Sign, send and confirm a swap for a quote, returning the actual amounts swapped.
+    // options.urgency picks the priority fee level: 'normal', 'fast' or 'emergency';
+    // options.constraints are reapplied if the swap has to be re-quoted;
+    // options.wallet signs with another WalletManager instead of the default wallet
+    async executeSwap(quote, options = {}) {
+        const urgency = options.urgency || 'normal';
+        const signer = options.wallet || wallet;
+        let priorityFee = null;
+
+        try {
+            if (!quote) {
+                throw new Error('A quote is required to execute a swap');
+            }
+            if (!signer.keypair) {
+                throw new Error(`Wallet ${signer.name} not initialized`);
+            }
+
+            logger.high(`Executing ${urgency} swap of ${quote.inAmount} ${quote.inputMint} for ${quote.outputMint}`);
+            const outcome = await transactionSender.sendAndConfirm(async (attempt) => {
+                // The first attempt uses the caller's quote; a dropped transaction is re-quoted
+                let swapQuote = quote;
+                if (attempt > 1) {
+                    swapQuote = await this.getQuote(quote.inputMint, quote.outputMint, quote.inAmount, quote.slippageBps, options.constraints);
+                    if (!swapQuote) {
+                        throw new Error('Re-quote failed after transaction was dropped');
+                    }
+                }
+
+                // Re-sample fees on every attempt so a rebuilt transaction reflects current congestion
+                priorityFee = await priorityFees.estimate(swapQuote, urgency);
+                const { swapTransaction, lastValidBlockHeight } = await this.getSwapTransaction(swapQuote, priorityFee, signer);
+                const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+                transaction.sign([signer.keypair]);
+                return { transaction, lastValidBlockHeight };
+            });
+
+            if (outcome.status === 'unknown') {
+                // It may have landed; keep it until resolveUnknownSwaps can tell
+                this.unknownSwaps.set(outcome.signature, {
+                    quote,
+                    signer,
+                    urgency,
+                    priorityFee,
+                    details: { strategy: options.strategy || null, wallet: options.wallet ? signer.name : null },
+                    lastValidBlockHeight: outcome.lastValidBlockHeight
+                });
+                throw new Error(`Swap outcome unknown (${outcome.signature}): ${outcome.error}`);
+            }
+            if (outcome.status !== 'confirmed') {
+                const reason = outcome.status === 'expired' ? 'blockhash expired' : JSON.stringify(outcome.error);
+                throw new Error(`Swap ${outcome.status} (${outcome.signature}): ${reason}`);
+            }
+
+            const result = await this.getSwapResult(outcome.signature, quote, signer, { urgency, priorityFee });
+            logger.high(`Swap confirmed: ${result.signature} (in ${result.inAmount}, out ${result.outAmount})`);
+            logger.token(JSON.stringify(result, null, 2));
+            return result;
+        } catch (error) {
+            logger.error(`Failed to execute swap: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Look up swaps whose outcome was unknown (optionally only those trading mint). Returns
+    // { fill, details } for each one that landed; failed and expired ones are dropped and
+    // the rest stay pending.
+    async resolveUnknownSwaps(mint = null) {
+        const landed = [];
+        for (const [signature, pending] of this.unknownSwaps) {
+            if (mint && pending.quote.inputMint !== mint && pending.quote.outputMint !== mint) continue;
+
+            const outcome = await transactionSender.lookup(signature, pending.lastValidBlockHeight);
+            if (outcome.status === 'unknown') continue;
+
+            this.unknownSwaps.delete(signature);
+            if (outcome.status !== 'confirmed') {
+                logger.high(`Swap ${signature} with unknown outcome did not land (${outcome.status})`);
+                continue;
+            }
+
+            try {
+                const fill = await this.getSwapResult(signature, pending.quote, pending.signer, pending);
+                logger.high(`Swap ${signature} with unknown outcome landed (in ${fill.inAmount}, out ${fill.outAmount})`);
+                landed.push({ fill, details: pending.details });
+            } catch (error) {
+                // Keep it so the next lookup can fetch the transaction again
+                this.unknownSwaps.set(signature, pending);
+                logger.error(`Failed to read landed swap ${signature}: ${error.message}`);
+            }
+        }
+        return landed;
+    }
+
+    // True while a swap trading mint has an unknown outcome
+    hasUnknownSwap(mint) {
+        return [...this.unknownSwaps.values()].some(pending => pending.quote.inputMint === mint || pending.quote.outputMint === mint);
+    }
 }
 
 module.exports = new JupiterApi();
\ No newline at end of file
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const logger = require('./logger');
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 1 << 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+// Encrypted keystore files holding a single Solana secret key. The key is encrypted with
+// AES-256-GCM under a scrypt-derived key and only ever decrypted into memory.
+class Keystore {
+    deriveKey(passphrase, salt, params) {
+        return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+    }
+
+    encrypt(keypair, passphrase) {
+        if (!passphrase) {
+            throw new Error('A passphrase is required to encrypt a keystore');
+        }
+
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const key = this.deriveKey(passphrase, salt, SCRYPT_PARAMS);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+        return {
+            version: KEYSTORE_VERSION,
+            publicKey: keypair.publicKey.toString(),
+            crypto: {
+                kdf: 'scrypt',
+                kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+                cipher: 'aes-256-gcm',
+                iv: iv.toString('hex'),
+                tag: cipher.getAuthTag().toString('hex'),
+                ciphertext: ciphertext.toString('hex')
+            }
+        };
+    }
+
+    decrypt(keystore, passphrase) {
+        if (keystore.version !== KEYSTORE_VERSION) {
+            throw new Error(`Unsupported keystore version ${keystore.version}`);
+        }
+
+        const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+        const { salt, ...params } = kdfparams;
+        const key = this.deriveKey(passphrase, Buffer.from(salt, 'hex'), params);
+
+        let secretKey;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+            decipher.setAuthTag(Buffer.from(tag, 'hex'));
+            secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted keystore');
+        }
+
+        // Keypair keeps its own copy so the decrypted buffer can be wiped
+        const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+        secretKey.fill(0);
+        if (keypair.publicKey.toString() !== keystore.publicKey) {
+            throw new Error('Keystore public key does not match the decrypted key');
+        }
+        return keypair;
+    }
+
+    write(filePath, keystore) {
+        if (fs.existsSync(filePath)) {
+            throw new Error(`Keystore ${filePath} already exists`);
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    }
+
+    read(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    // Generate a new keypair and store it encrypted
+    create(filePath, passphrase) {
+        const keypair = Keypair.generate();
+        this.write(filePath, this.encrypt(keypair, passphrase));
+        logger.high(`Created keystore ${filePath} for ${keypair.publicKey.toString()}`);
+        return keypair.publicKey.toString();
+    }
+
+    // Encrypt an existing base58 secret key into a new keystore
+    import(filePath, base58SecretKey, passphrase) {
+        const keypair = Keypair.fromSecretKey(bs58.default.decode(base58SecretKey.trim()));
+        this.write(filePath, this.encrypt(keypair, passphrase));
+        logger.high(`Imported key ${keypair.publicKey.toString()} into keystore ${filePath}`);
+        return keypair.publicKey.toString();
+    }
+
+    // Decrypt a keystore back to a base58 secret key, e.g. to move it into another wallet app
+    export(filePath, passphrase) {
+        const keypair = this.unlock(filePath, passphrase);
+        logger.high(`Exported key ${keypair.publicKey.toString()} from keystore ${filePath}`);
+        return bs58.default.encode(keypair.secretKey);
+    }
+
+    unlock(filePath, passphrase) {
+        if (!passphrase) {
+            throw new Error(`A passphrase is required to unlock keystore ${filePath}`);
+        }
+        return this.decrypt(this.read(filePath), passphrase);
+    }
+}
+
+module.exports = new Keystore();
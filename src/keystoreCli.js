@@ -0,0 +1,54 @@
+// Manage encrypted wallet keystores
+//
+//   node src/keystoreCli.js create <keystore.json>
+//   node src/keystoreCli.js import <keystore.json>   (prompts for the base58 private key)
+//   node src/keystoreCli.js export <keystore.json>   (prints the base58 private key)
+
+const keystore = require('./keystore');
+const { promptHidden } = require('./prompt');
+
+async function promptNewPassphrase() {
+    const passphrase = await promptHidden('New passphrase: ');
+    const confirmation = await promptHidden('Confirm passphrase: ');
+    if (passphrase !== confirmation) {
+        throw new Error('Passphrases do not match');
+    }
+    if (passphrase.length < 12) {
+        throw new Error('Passphrase must be at least 12 characters');
+    }
+    return passphrase;
+}
+
+async function main() {
+    const [command, filePath] = process.argv.slice(2);
+    if (!command || !filePath) {
+        throw new Error('Usage: node src/keystoreCli.js <create|import|export> <keystore.json>');
+    }
+
+    switch (command) {
+        case 'create': {
+            const publicKey = keystore.create(filePath, await promptNewPassphrase());
+            console.log(`Created keystore ${filePath} for ${publicKey}`);
+            break;
+        }
+        case 'import': {
+            const secretKey = await promptHidden('Base58 private key: ');
+            const publicKey = keystore.import(filePath, secretKey, await promptNewPassphrase());
+            console.log(`Imported ${publicKey} into ${filePath}`);
+            console.log('Remove SOLANA_PRIVATE_KEY from .env and set KEYSTORE_PATH instead');
+            break;
+        }
+        case 'export': {
+            const secretKey = keystore.export(filePath, await promptHidden('Passphrase: '));
+            console.log(secretKey);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
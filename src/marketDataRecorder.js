@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const config = require('./config');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Append-only time-series store for raw market data, the dataset backtests and
+// calibration are built on. Records go to one JSONL file per stream per UTC day:
+//
+//   data/market/<stream>/<YYYY-MM-DD>.jsonl   { timestamp, key, data } per line
+//
+// Streams written by the bot:
+//   pairs            - DexScreener pair objects, keyed by pair address
+//   birdeye_prices   - Birdeye spot prices, keyed by token address
+//   birdeye_history  - Birdeye price history responses, keyed by token address
+//   jupiter_quotes   - Jupiter quote responses, keyed by "inputMint:outputMint"
+//
+// Files older than compactAfterDays are gzipped in place (.jsonl.gz) and files older
+// than retentionDays are deleted. Recording never throws into the caller.
+class MarketDataRecorder {
+    constructor() {
+        this.enabled = config.MARKET_DATA_RECORDING !== false;
+        this.baseDir = path.join(config.DATA_DIR, 'market');
+        this.retentionDays = config.MARKET_DATA_RETENTION_DAYS || 90;
+        this.compactAfterDays = config.MARKET_DATA_COMPACT_AFTER_DAYS || 1;
+        this.maintenanceIntervalMs = 6 * 60 * 60 * 1000;
+        this.timer = null;
+    }
+
+    getDay(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    getFile(stream, day) {
+        return path.join(this.baseDir, stream, `${day}.jsonl`);
+    }
+
+    // Append records of one stream; keyFn picks the series key out of each record
+    record(stream, records, keyFn, timestamp = Date.now()) {
+        if (!this.enabled || !records || records.length === 0) return;
+
+        try {
+            const file = this.getFile(stream, this.getDay(timestamp));
+            const lines = records
+                .map(data => JSON.stringify({ timestamp, key: keyFn(data), data }))
+                .join('\n') + '\n';
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, lines);
+            logger.deep(`Recorded ${records.length} ${stream} records`);
+        } catch (error) {
+            logger.error(`Failed to record ${stream} data: ${error.message}`);
+        }
+    }
+
+    recordPairs(pairs, timestamp) {
+        this.record('pairs', pairs.filter(pair => pair && pair.pairAddress), pair => pair.pairAddress, timestamp);
+    }
+
+    recordBirdeyePrice(tokenAddress, price, timestamp) {
+        this.record('birdeye_prices', [price], () => tokenAddress, timestamp);
+    }
+
+    recordBirdeyeHistory(tokenAddress, history, timestamp) {
+        this.record('birdeye_history', [history], () => tokenAddress, timestamp);
+    }
+
+    recordJupiterQuote(quote, timestamp) {
+        this.record('jupiter_quotes', [quote], () => `${quote.inputMint}:${quote.outputMint}`, timestamp);
+    }
+
+    // Day files of a stream, oldest first, as { day, file, compressed }
+    listFiles(stream) {
+        const dir = path.join(this.baseDir, stream);
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .map(name => {
+                const match = name.match(/^(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/);
+                return match ? { day: match[1], file: path.join(dir, name), compressed: Boolean(match[2]) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    listStreams() {
+        if (!fs.existsSync(this.baseDir)) return [];
+        return fs.readdirSync(this.baseDir).filter(name => fs.statSync(path.join(this.baseDir, name)).isDirectory());
+    }
+
+    // Iterate records of a stream between from and to (ms, inclusive), optionally for a
+    // single key, in time order. Reads compressed and uncompressed days alike.
+    async *read(stream, { from = 0, to = Date.now(), key = null } = {}) {
+        const firstDay = this.getDay(from);
+        const lastDay = this.getDay(to);
+
+        for (const { day, file, compressed } of this.listFiles(stream)) {
+            if (day < firstDay || day > lastDay) continue;
+
+            const input = compressed
+                ? fs.createReadStream(file).pipe(zlib.createGunzip())
+                : fs.createReadStream(file);
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                if (!line) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    // A crash mid-append can leave a partial last line
+                    logger.error(`Skipping unreadable line in ${file}`);
+                    continue;
+                }
+                if (entry.timestamp < from || entry.timestamp > to) continue;
+                if (key !== null && entry.key !== key) continue;
+                yield entry;
+            }
+        }
+    }
+
+    // Gzip finished day files older than compactAfterDays and delete files past retention
+    maintain(now = Date.now()) {
+        const report = { compacted: 0, deleted: 0 };
+        const compactBefore = this.getDay(now - this.compactAfterDays * DAY_MS);
+        const deleteBefore = this.getDay(now - this.retentionDays * DAY_MS);
+        const today = this.getDay(now);
+
+        try {
+            for (const stream of this.listStreams()) {
+                for (const { day, file, compressed } of this.listFiles(stream)) {
+                    if (day < deleteBefore) {
+                        fs.unlinkSync(file);
+                        report.deleted++;
+                    } else if (!compressed && day < compactBefore && day < today) {
+                        const gzFile = `${file}.gz`;
+                        fs.writeFileSync(gzFile, zlib.gzipSync(fs.readFileSync(file)));
+                        fs.unlinkSync(file);
+                        report.compacted++;
+                    }
+                }
+            }
+            logger.high(`Market data maintenance: compacted ${report.compacted} files, deleted ${report.deleted}`);
+        } catch (error) {
+            logger.error(`Market data maintenance failed: ${error.message}`);
+        }
+
+        return report;
+    }
+
+    start(intervalMs = this.maintenanceIntervalMs) {
+        if (this.timer || !this.enabled) return;
+        this.maintain();
+        this.timer = setInterval(() => this.maintain(), intervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = new MarketDataRecorder();
@@ -1,13 +1,14 @@
 const axios = require('axios');
 const logger = require('./logger');
 const moralisApi = require('./moralisApi');
+const marketDataRecorder = require('./marketDataRecorder');
+const strategies = require('./strategies');
 
 class MergedTokenDiscovery {
     constructor() {
         this.baseUrl = 'https://api.dexscreener.com/latest/dex';
         this.tokenPairsUrl = 'https://api.dexscreener.com/token-pairs/v1';
         this.minLiquidity = 3000; // $3,000 minimum liquidity
-        this.maxPairAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
         this.veryRecentThreshold = 1 * 60 * 60 * 1000; // 1 hour in milliseconds
         
         // Cache implementation
@@ -23,33 +24,15 @@ class MergedTokenDiscovery {
         // Initialize Moralis
         this.moralisInitialized = false;
         
-        // Criteria for token discovery
-        this.criteria = {
-            veryRecent: { // For tokens < 1 hour old
-                minPriceChangeM5: 1,    // 1%
-                minVolumeM5: 500,       // $500
-                minLiquidityUsd: 3000   // $3,000
-            },
-            recent: { // For tokens 1-24 hours old
-                minPriceChangeH1: 5,    // 5%
-                minVolumeH1: 5000,      // $5,000
-                minLiquidityUsd: 3000   // $3,000
-            }
-        };
-        
-        // Fallback criteria
-        this.fallbackCriteria = {
-            veryRecent: {
-                minPriceChangeM5: 0.5,  // 0.5%
-                minVolumeM5: 100,       // $100
-                minLiquidityUsd: 1000   // $1,000
-            },
-            recent: {
-                minPriceChangeH1: 2,    // 2%
-                minVolumeH1: 1000,      // $1,000
-                minLiquidityUsd: 1000   // $1,000
-            }
-        };
+        // Age-based buying criteria live in the ageMomentum strategy, with the same options
+        // (including optimizer exports) the bot's strategy gets
+        this.ageStrategy = strategies.create('ageMomentum', {
+            veryRecentThresholdMs: this.veryRecentThreshold,
+            ...(strategies.loadOptions().ageMomentum || {})
+        });
+        this.criteria = this.ageStrategy.criteria;
+        this.fallbackCriteria = this.ageStrategy.fallbackCriteria;
+        this.maxPairAge = this.ageStrategy.maxPairAge; // Same 24 hour window backtests use
     }
 
     // Initialize Moralis if not already initialized
@@ -191,6 +174,7 @@ class MergedTokenDiscovery {
             }
             
             const pools = response.data;
+            marketDataRecorder.recordPairs(pools);
             
             logger.deep(`Found ${pools.length} pools for token ${tokenAddress}`);
             
@@ -306,6 +290,7 @@ class MergedTokenDiscovery {
                     
                     if (response.data && response.data.pairs) {
                         const pairs = response.data.pairs;
+                        marketDataRecorder.recordPairs(pairs);
                         logger.deep(`Found ${pairs.length} pairs on DEX ${dexId}`);
                         allPairs.push(...pairs);
                     }
@@ -374,81 +359,7 @@ class MergedTokenDiscovery {
 
     // Apply age-based buying criteria
     applyAgeBuyingCriteria(tokens, useFallback = false) {
-        const criteriaSet = useFallback ? this.fallbackCriteria : this.criteria;
-        
-        logger.high(`Applying ${useFallback ? 'fallback' : 'primary'} age-based buying criteria...`);
-        
-        if (useFallback) {
-            logger.high('Using relaxed criteria thresholds:');
-            logger.high(`Very Recent (<1h): m5 change > ${criteriaSet.veryRecent.minPriceChangeM5}%, m5 volume > $${criteriaSet.veryRecent.minVolumeM5}, liquidity > $${criteriaSet.veryRecent.minLiquidityUsd}`);
-            logger.high(`Recent (1-24h): h1 change > ${criteriaSet.recent.minPriceChangeH1}%, h1 volume > $${criteriaSet.recent.minVolumeH1}, liquidity > $${criteriaSet.recent.minLiquidityUsd}`);
-        }
-        
-        const buyDecisions = tokens.map(token => {
-            // Calculate age in hours
-            const ageInMs = Date.now() - new Date(token.pairCreatedAt).getTime();
-            const ageHours = ageInMs / (1000 * 60 * 60);
-            
-            // Determine which criteria to apply based on age
-            const isVeryRecent = ageInMs < this.veryRecentThreshold;
-            const criteria = isVeryRecent ? criteriaSet.veryRecent : criteriaSet.recent;
-            
-            // Initialize decision object
-            const decision = {
-                token,
-                ageHours,
-                isVeryRecent,
-                appliedCriteria: isVeryRecent ? 'Very Recent (<1h)' : 'Recent (1-24h)',
-                criteriaLevel: useFallback ? 'Fallback' : 'Primary',
-                checks: {},
-                buyDecision: false
-            };
-            
-            // Apply criteria based on token age
-            if (isVeryRecent) {
-                // For tokens less than 1 hour old
-                decision.checks.priceChangeM5 = token.priceChange && token.priceChange.m5 > criteria.minPriceChangeM5;
-                decision.checks.volumeM5 = token.volume && token.volume.m5 && parseFloat(token.volume.m5) > criteria.minVolumeM5;
-                decision.checks.liquidity = token.liquidity && token.liquidity.usd && parseFloat(token.liquidity.usd) > criteria.minLiquidityUsd;
-                
-                // All criteria must be met
-                decision.buyDecision = decision.checks.priceChangeM5 && decision.checks.volumeM5 && decision.checks.liquidity;
-                
-                // Add detailed metrics for debugging
-                decision.metrics = {
-                    priceChangeM5: token.priceChange?.m5 || 'N/A',
-                    volumeM5: token.volume?.m5 || 'N/A',
-                    liquidity: token.liquidity?.usd || 'N/A'
-                };
-            } else {
-                // For tokens 1-24 hours old
-                decision.checks.priceChangeH1 = token.priceChange && token.priceChange.h1 > criteria.minPriceChangeH1;
-                decision.checks.volumeH1 = token.volume && token.volume.h1 && parseFloat(token.volume.h1) > criteria.minVolumeH1;
-                decision.checks.liquidity = token.liquidity && token.liquidity.usd && parseFloat(token.liquidity.usd) > criteria.minLiquidityUsd;
-                
-                // All criteria must be met
-                decision.buyDecision = decision.checks.priceChangeH1 && decision.checks.volumeH1 && decision.checks.liquidity;
-                
-                // Add detailed metrics for debugging
-                decision.metrics = {
-                    priceChangeH1: token.priceChange?.h1 || 'N/A',
-                    volumeH1: token.volume?.h1 || 'N/A',
-                    liquidity: token.liquidity?.usd || 'N/A'
-                };
-            }
-            
-            return decision;
-        });
-        
-        // Filter to only include positive buy decisions
-        const positiveBuyDecisions = buyDecisions.filter(decision => decision.buyDecision);
-        
-        logger.high(`Found ${positiveBuyDecisions.length} tokens meeting the ${useFallback ? 'fallback' : 'primary'} buying criteria`);
-        
-        return {
-            all: buyDecisions,
-            buy: positiveBuyDecisions
-        };
+        return this.ageStrategy.applyCriteria(tokens, useFallback);
     }
 
     // Discover tokens with comprehensive approach without search queries
@@ -5,6 +5,8 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const positionSizing = require('./positionSizing');
+const strategies = require('./strategies');
 
 // Configuration based on user's specific requirements, with slightly relaxed thresholds
 const CONFIG = {
@@ -39,6 +41,16 @@ const CONFIG = {
   }
 };
 
+// ageMomentum options (STRATEGY_OPTIONS and the optimizer's STRATEGY_OPTIONS_FILE export)
+// replace the thresholds above, as they do for the bot's strategy
+const ageMomentumOptions = strategies.loadOptions().ageMomentum || {};
+if (ageMomentumOptions.criteria) CONFIG.criteria = ageMomentumOptions.criteria;
+if (ageMomentumOptions.fallbackCriteria) {
+  CONFIG.fallbackCriteria = { enabled: true, ...ageMomentumOptions.fallbackCriteria };
+} else if (ageMomentumOptions.fallbackCriteria === null) {
+  CONFIG.fallbackCriteria.enabled = false;
+}
+
 // Helper function to calculate date from hours ago
 const getDateHoursAgo = (hours) => {
   const date = new Date();
@@ -264,7 +276,7 @@ function saveBuyDecisionsToFile(buyDecisions) {
 }
 
 // Function to create a buy execution plan
-function createBuyExecutionPlan(buyDecisions) {
+async function createBuyExecutionPlan(buyDecisions) {
   if (buyDecisions.length === 0) {
     console.log('No tokens to create buy execution plan for.');
     return null;
@@ -278,20 +290,26 @@ function createBuyExecutionPlan(buyDecisions) {
   
   // Calculate investment amount - more for newer tokens and primary criteria matches
   const totalTokens = sortedDecisions.length;
-  const baseAmount = 1000; // Base amount per token
+  const baseAmount = await positionSizing.fiatToLamports(positionSizing.budgetCad, 'CAD'); // Base lamports per token
+  if (!baseAmount) {
+    console.log('Could not convert the CAD trade budget to SOL, skipping execution plan.');
+    return null;
+  }
   
   const executionPlan = {
     timestamp: new Date().toISOString(),
     totalTokens: totalTokens,
+    budgetCad: positionSizing.budgetCad,
+    baseAmountSol: baseAmount / 1e9,
     totalInvestment: 0,
     tokens: sortedDecisions.map((decision, index) => {
       // Calculate buy amount - newer tokens get more investment
       const ageFactorMultiplier = Math.max(0.5, 1 - (decision.ageHours / CONFIG.maxAgeHours));
       // Primary criteria matches get full amount, fallback get 70%
       const criteriaMultiplier = decision.criteriaLevel === 'Primary' ? 1.0 : 0.7;
-      const buyAmount = baseAmount * ageFactorMultiplier * criteriaMultiplier;
+      const buyAmount = Math.floor(baseAmount * ageFactorMultiplier * criteriaMultiplier);
       
-      console.log(`${index + 1}. Buy ${decision.token.baseToken.symbol} for $${buyAmount.toFixed(2)}`);
+      console.log(`${index + 1}. Buy ${decision.token.baseToken.symbol} for ${(buyAmount / 1e9).toFixed(4)} SOL`);
       console.log(`   Age: ${decision.ageHours.toFixed(2)} hours, Price: $${decision.token.priceUsd}`);
       console.log(`   Criteria: ${decision.criteriaLevel}, Category: ${decision.appliedCriteria}`);
       console.log(`   URL: ${decision.token.url}`);
@@ -303,7 +321,8 @@ function createBuyExecutionPlan(buyDecisions) {
         age: decision.ageHours,
         ageCategory: decision.appliedCriteria,
         criteriaLevel: decision.criteriaLevel,
-        amount: buyAmount.toFixed(2),
+        amountSol: (buyAmount / 1e9).toFixed(4),
+        lamports: buyAmount,
         price: decision.token.priceUsd,
         url: decision.token.url
       };
@@ -311,12 +330,12 @@ function createBuyExecutionPlan(buyDecisions) {
   };
   
   // Calculate total investment
-  executionPlan.totalInvestment = executionPlan.tokens.reduce(
-    (sum, token) => sum + parseFloat(token.amount), 
+  executionPlan.totalInvestment = (executionPlan.tokens.reduce(
+    (sum, token) => sum + token.lamports, 
     0
-  ).toFixed(2);
+  ) / 1e9).toFixed(4);
   
-  console.log(`\nTotal investment amount: $${executionPlan.totalInvestment}`);
+  console.log(`\nTotal investment amount: ${executionPlan.totalInvestment} SOL`);
   
   // Save execution plan to file
   const timestamp = new Date().toISOString().replace(/:/g, '-');
@@ -429,7 +448,7 @@ async function main() {
   const failureAnalysis = analyzeFailedCriteria(finalDecisions.all);
   
   // Create execution plan
-  const executionPlan = createBuyExecutionPlan(finalDecisions.buy);
+  const executionPlan = await createBuyExecutionPlan(finalDecisions.buy);
   
   return {
     allTokens: recentTokens,
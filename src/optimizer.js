@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const backtester = require('./backtester');
+const analytics = require('./analytics');
+const strategies = require('./strategies');
+const AgeMomentumStrategy = require('./strategies/ageMomentum');
+
+// Search space for the ageMomentum criteria. Each parameter sets one or more option
+// paths; `values` are used by grid search, `min`/`max` by random search (falling back
+// to `values` when there is no range). Fallback thresholds are random-search only to
+// keep the default grid at a few hundred backtests.
+const DEFAULT_SPACE = [
+    { name: 'veryRecent.minPriceChangeM5', paths: ['criteria.veryRecent.minPriceChangeM5'], values: [0.5, 1, 2, 3], min: 0, max: 5 },
+    { name: 'veryRecent.minVolumeM5', paths: ['criteria.veryRecent.minVolumeM5'], values: [100, 500, 1000], min: 0, max: 2000, integer: true },
+    { name: 'recent.minPriceChangeH1', paths: ['criteria.recent.minPriceChangeH1'], values: [2, 5, 10], min: 0, max: 20 },
+    { name: 'recent.minVolumeH1', paths: ['criteria.recent.minVolumeH1'], values: [1000, 5000, 10000], min: 0, max: 20000, integer: true },
+    { name: 'minLiquidityUsd', paths: ['criteria.veryRecent.minLiquidityUsd', 'criteria.recent.minLiquidityUsd'], values: [1000, 3000, 5000], min: 500, max: 10000, integer: true },
+    { name: 'fallback.veryRecent.minPriceChangeM5', paths: ['fallbackCriteria.veryRecent.minPriceChangeM5'], min: 0, max: 2 },
+    { name: 'fallback.recent.minPriceChangeH1', paths: ['fallbackCriteria.recent.minPriceChangeH1'], min: 0, max: 10 },
+    { name: 'fallback.minLiquidityUsd', paths: ['fallbackCriteria.veryRecent.minLiquidityUsd', 'fallbackCriteria.recent.minLiquidityUsd'], min: 500, max: 5000, integer: true }
+];
+
+// Objectives are maximized, so drawdown is negated
+const OBJECTIVES = {
+    return: report => report.summary.returnPct,
+    sharpe: report => analytics.sharpeRatio(report.equityCurve), // Per tick, not annualized
+    drawdown: report => -report.summary.maxDrawdownPct
+};
+
+// Small seeded PRNG (mulberry32) so random searches can be repeated
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+// Grid and random search over strategy parameters, each candidate scored by a backtest
+// over the same recorded ticks
+class Optimizer {
+    constructor() {
+        this.space = DEFAULT_SPACE;
+        this.minTrades = 5; // Parameter sets with fewer trades are not ranked
+    }
+
+    // Strategy options for a parameter set, on top of the default criteria
+    buildStrategyOptions(params, space = this.space) {
+        const options = {
+            criteria: JSON.parse(JSON.stringify(AgeMomentumStrategy.DEFAULT_CRITERIA)),
+            fallbackCriteria: JSON.parse(JSON.stringify(AgeMomentumStrategy.DEFAULT_FALLBACK_CRITERIA))
+        };
+        space.forEach(param => {
+            if (params[param.name] !== undefined) {
+                param.paths.forEach(paramPath => setPath(options, paramPath, params[param.name]));
+            }
+        });
+        return options;
+    }
+
+    gridCombinations(space) {
+        return space
+            .filter(param => param.values)
+            .reduce((combinations, param) => combinations.flatMap(combination =>
+                param.values.map(value => ({ ...combination, [param.name]: value }))
+            ), [{}]);
+    }
+
+    randomCombinations(space, samples, seed) {
+        const random = createRandom(seed);
+        return Array.from({ length: samples }, () => {
+            const params = {};
+            space.forEach(param => {
+                if (param.min !== undefined && param.max !== undefined) {
+                    const value = param.min + random() * (param.max - param.min);
+                    params[param.name] = param.integer ? Math.round(value) : Math.round(value * 100) / 100;
+                } else if (param.values) {
+                    params[param.name] = param.values[Math.floor(random() * param.values.length)];
+                }
+            });
+            return params;
+        });
+    }
+
+    // options: { method: 'grid' | 'random', objective, samples, seed, space, strategyName,
+    // ticks | from/to, backtest (extra backtester settings) }. Returns ranked results.
+    async optimize(options = {}) {
+        const method = options.method || 'grid';
+        const objectiveName = options.objective || 'sharpe';
+        const objective = OBJECTIVES[objectiveName];
+        if (!objective) {
+            throw new Error(`Unknown objective: ${objectiveName} (use ${Object.keys(OBJECTIVES).join(', ')})`);
+        }
+
+        const space = options.space || this.space;
+        const strategyName = options.strategyName || 'ageMomentum';
+        const ticks = options.ticks || await backtester.loadTicks(options);
+        const combinations = method === 'grid'
+            ? this.gridCombinations(space)
+            : this.randomCombinations(space, options.samples || 100, options.seed ?? Date.now());
+
+        logger.high(`Optimizing ${strategyName} with ${method} search: ${combinations.length} parameter sets, objective ${objectiveName}`);
+
+        const results = [];
+        for (const params of combinations) {
+            const strategyOptions = this.buildStrategyOptions(params, space);
+            const report = await backtester.run({
+                ...(options.backtest || {}),
+                ticks,
+                strategy: strategies.create(strategyName, { ...strategyOptions, quiet: true })
+            });
+
+            results.push({
+                params,
+                strategyOptions,
+                score: objective(report),
+                summary: report.summary
+            });
+        }
+
+        const minTrades = options.minTrades ?? this.minTrades;
+        const ranked = results
+            .filter(result => result.summary.trades >= minTrades)
+            .sort((a, b) => b.score - a.score);
+
+        logger.high(`Optimization finished: ${ranked.length} of ${results.length} parameter sets had at least ${minTrades} trades`);
+        return { method, objective: objectiveName, strategyName, evaluated: results.length, ranked };
+    }
+
+    // Write a result as a STRATEGY_OPTIONS_FILE the bot can load
+    exportConfig(result, strategyName = 'ageMomentum', file = null) {
+        const target = file || path.join(config.DATA_DIR, 'optimizer', `${strategyName}_${new Date().toISOString().replace(/:/g, '-')}.json`);
+        const exported = {
+            [strategyName]: {
+                criteria: result.strategyOptions.criteria,
+                fallbackCriteria: result.strategyOptions.fallbackCriteria
+            }
+        };
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(exported, null, 2));
+        logger.high(`Exported ${strategyName} parameters (score ${result.score}) to ${target}`);
+        return target;
+    }
+}
+
+module.exports = new Optimizer();
+module.exports.OBJECTIVES = OBJECTIVES;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const priceFeed = require('./priceFeed');
+const tradeExecutor = require('./tradeExecutor');
+const positionManager = require('./positionManager');
+
+// Locally managed limit and DCA orders. Orders are persisted to disk so they survive
+// restarts, and are executed through the TradeExecutor (paper or live) when triggered.
+//
+// Order types:
+//   limit_buy  - buy `lamports` of SOL worth when price <= triggerPriceUsd
+//   limit_sell - sell `amount` raw tokens (or 'all') when price >= triggerPriceUsd
+//   dca        - buy or sell `amount` every `intervalMs`, `totalRuns` times, optionally
+//                skipping runs while the price is outside `limitPriceUsd`
+class OrderEngine {
+    constructor() {
+        this.ordersFile = path.join(config.DATA_DIR, 'orders.json');
+        this.pollIntervalMs = config.ORDER_POLL_INTERVAL_MS || 15000;
+        this.orders = null;
+        this.timer = null;
+        this.currentPoll = null; // Running poll, awaited on stop so no swap is cut off
+        this.stopping = false;
+    }
+
+    loadOrders() {
+        if (this.orders) {
+            return this.orders;
+        }
+
+        try {
+            this.orders = fs.existsSync(this.ordersFile)
+                ? JSON.parse(fs.readFileSync(this.ordersFile, 'utf8'))
+                : [];
+            logger.deep(`Loaded ${this.orders.length} orders from ${this.ordersFile}`);
+        } catch (error) {
+            logger.error(`Failed to load orders: ${error.message}`);
+            throw error;
+        }
+
+        return this.orders;
+    }
+
+    saveOrders() {
+        fs.mkdirSync(path.dirname(this.ordersFile), { recursive: true });
+        fs.writeFileSync(this.ordersFile, JSON.stringify(this.orders, null, 2));
+    }
+
+    addOrder(order) {
+        const orders = this.loadOrders();
+        const newOrder = {
+            id: crypto.randomUUID(),
+            status: 'open',
+            createdAt: new Date().toISOString(),
+            fills: [],
+            ...order
+        };
+
+        orders.push(newOrder);
+        this.saveOrders();
+        logger.high(`Placed ${newOrder.type} order ${newOrder.id} for ${newOrder.tokenMint}`);
+        return newOrder;
+    }
+
+    placeLimitBuy(tokenMint, triggerPriceUsd, lamports) {
+        return this.addOrder({ type: 'limit_buy', tokenMint, triggerPriceUsd, lamports });
+    }
+
+    placeLimitSell(tokenMint, triggerPriceUsd, amount = 'all') {
+        return this.addOrder({ type: 'limit_sell', tokenMint, triggerPriceUsd, amount });
+    }
+
+    // amount is lamports for buys and raw tokens (or 'all' split evenly) for sells
+    placeDca(tokenMint, { side = 'buy', amount, intervalMs, totalRuns, limitPriceUsd = null }) {
+        if (!amount || !intervalMs || !totalRuns) {
+            throw new Error('DCA orders require amount, intervalMs and totalRuns');
+        }
+
+        return this.addOrder({
+            type: 'dca',
+            side,
+            tokenMint,
+            amount,
+            intervalMs,
+            totalRuns,
+            limitPriceUsd,
+            runs: 0,
+            nextRunAt: Date.now()
+        });
+    }
+
+    cancelOrder(orderId) {
+        const order = this.loadOrders().find(o => o.id === orderId);
+        if (!order || order.status !== 'open') {
+            logger.error(`Cannot cancel order ${orderId}: not found or not open`);
+            return false;
+        }
+
+        order.status = 'cancelled';
+        order.cancelledAt = new Date().toISOString();
+        this.saveOrders();
+        logger.high(`Cancelled order ${orderId}`);
+        return true;
+    }
+
+    getOpenOrders() {
+        return this.loadOrders().filter(order => order.status === 'open');
+    }
+
+    // Whether an order should fire at the current price
+    isTriggered(order, priceUsd, now) {
+        switch (order.type) {
+            case 'limit_buy':
+                return priceUsd <= order.triggerPriceUsd;
+            case 'limit_sell':
+                return priceUsd >= order.triggerPriceUsd;
+            case 'dca':
+                if (now < order.nextRunAt) return false;
+                if (order.limitPriceUsd === null) return true;
+                return order.side === 'buy'
+                    ? priceUsd <= order.limitPriceUsd
+                    : priceUsd >= order.limitPriceUsd;
+            default:
+                return false;
+        }
+    }
+
+    async resolveSellAmount(order, amount) {
+        if (amount !== 'all') {
+            return amount;
+        }
+
+        const balance = await tradeExecutor.getTokenBalance(order.tokenMint);
+        if (order.type !== 'dca') {
+            return balance;
+        }
+
+        // Split the remaining balance evenly over the remaining DCA runs
+        const remainingRuns = order.totalRuns - order.runs;
+        return (BigInt(balance || 0) / BigInt(remainingRuns)).toString();
+    }
+
+    async executeOrder(order, priceUsd) {
+        const isBuy = order.type === 'limit_buy' || (order.type === 'dca' && order.side === 'buy');
+        const amount = isBuy
+            ? (order.lamports || order.amount)
+            : await this.resolveSellAmount(order, order.amount);
+
+        if (!amount || amount === '0') {
+            logger.error(`Order ${order.id} has nothing to ${isBuy ? 'buy' : 'sell'}`);
+            return null;
+        }
+
+        logger.high(`Order ${order.id} (${order.type}) triggered at $${priceUsd}`);
+        return isBuy
+            ? tradeExecutor.buy(order.tokenMint, amount)
+            : tradeExecutor.sell(order.tokenMint, amount);
+    }
+
+    // Check every open order against current prices and execute the triggered ones.
+    // Overlapping calls share the poll already running.
+    poll() {
+        if (!this.currentPoll) {
+            this.currentPoll = this.pollOrders().finally(() => {
+                this.currentPoll = null;
+            });
+        }
+        return this.currentPoll;
+    }
+
+    async pollOrders() {
+        try {
+            const openOrders = this.getOpenOrders();
+            const prices = new Map();
+
+            for (const order of openOrders) {
+                if (this.stopping) break;
+                if (!prices.has(order.tokenMint)) {
+                    const price = await priceFeed.getTokenPriceUsd(order.tokenMint);
+                    prices.set(order.tokenMint, price ? price.priceUsd : null);
+                }
+
+                const priceUsd = prices.get(order.tokenMint);
+                const now = Date.now();
+                if (priceUsd === null || !this.isTriggered(order, priceUsd, now)) {
+                    continue;
+                }
+                // Holdings are uncertain until the bot has resolved the earlier swap
+                if (tradeExecutor.hasUnknownSwap(order.tokenMint)) {
+                    logger.high(`Order ${order.id} held back: an earlier swap of ${order.tokenMint} has an unknown outcome`);
+                    continue;
+                }
+
+                const result = await this.executeOrder(order, priceUsd);
+                if (result) {
+                    // Recorded even if the order was cancelled mid-swap; the fill happened
+                    order.fills.push({ ...result, priceUsd, timestamp: new Date().toISOString() });
+                    await positionManager.recordSwap(result, {
+                        strategy: order.strategy || null,
+                        priceUsd,
+                        solPriceUsd: await priceFeed.getSolPriceUsd()
+                    });
+                }
+
+                // The order may have been cancelled while the swap was in flight
+                if (order.status !== 'open') {
+                    this.saveOrders();
+                    continue;
+                }
+
+                if (order.type === 'dca') {
+                    order.runs += 1;
+                    order.nextRunAt = now + order.intervalMs;
+                    if (order.runs >= order.totalRuns) {
+                        order.status = 'filled';
+                    }
+                } else if (result) {
+                    order.status = 'filled';
+                } else {
+                    order.status = 'failed';
+                }
+
+                if (order.status !== 'open') {
+                    order.closedAt = new Date().toISOString();
+                }
+                this.saveOrders();
+            }
+        } catch (error) {
+            logger.error(`Order poll failed: ${error.message}`);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        logger.high(`Order engine started with ${this.getOpenOrders().length} open orders`);
+        this.stopping = false;
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.poll();
+    }
+
+    // Stop polling and wait for a running poll to save the status of its order
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.currentPoll) {
+            this.stopping = true;
+            logger.high('Waiting for the running order poll to finish');
+            await this.currentPoll;
+        }
+        this.stopping = false;
+        logger.high('Order engine stopped');
+    }
+}
+
+module.exports = new OrderEngine();
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const Decimal = require('decimal.js');
+const config = require('./config');
+const logger = require('./logger');
+
+class PaperTrader {
+    constructor() {
+        this.ledgerFile = path.join(config.DATA_DIR, 'paper_ledger.json');
+        this.slippageBps = config.SLIPPAGE_BPS || 100;
+        this.feeLamports = config.PAPER_FEE_LAMPORTS || 5000;
+        this.ledger = null;
+    }
+
+    // Create an empty ledger funded with the configured starting SOL
+    createLedger() {
+        return {
+            createdAt: new Date().toISOString(),
+            lamports: new Decimal(config.PAPER_STARTING_SOL || 0).times(1e9).toFixed(0),
+            tokens: {},
+            trades: []
+        };
+    }
+
+    // Load the ledger from disk, creating it on first use
+    loadLedger() {
+        if (this.ledger) {
+            return this.ledger;
+        }
+
+        try {
+            if (fs.existsSync(this.ledgerFile)) {
+                this.ledger = JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+                logger.deep(`Loaded paper ledger from ${this.ledgerFile}`);
+            } else {
+                this.ledger = this.createLedger();
+                this.saveLedger();
+                logger.high(`Created paper ledger with ${config.PAPER_STARTING_SOL} SOL`);
+            }
+        } catch (error) {
+            logger.error(`Failed to load paper ledger: ${error.message}`);
+            throw error;
+        }
+
+        return this.ledger;
+    }
+
+    saveLedger() {
+        fs.mkdirSync(path.dirname(this.ledgerFile), { recursive: true });
+        fs.writeFileSync(this.ledgerFile, JSON.stringify(this.ledger, null, 2));
+    }
+
+    // Discard the current ledger and start again from the starting balance
+    resetLedger() {
+        this.ledger = this.createLedger();
+        this.saveLedger();
+        logger.high('Paper ledger reset');
+        return this.ledger;
+    }
+
+    // Raw balance of a mint in the ledger (lamports for SOL)
+    getRawBalance(mint) {
+        const ledger = this.loadLedger();
+        if (mint === config.SOL_MINT) {
+            return new Decimal(ledger.lamports);
+        }
+        return new Decimal(ledger.tokens[mint]?.amount || 0);
+    }
+
+    setRawBalance(mint, amount) {
+        const ledger = this.loadLedger();
+        if (mint === config.SOL_MINT) {
+            ledger.lamports = amount.toFixed(0);
+        } else if (amount.lte(0)) {
+            delete ledger.tokens[mint];
+        } else {
+            ledger.tokens[mint] = { amount: amount.toFixed(0) };
+        }
+    }
+
+    async getBalance() {
+        const solBalance = this.getRawBalance(config.SOL_MINT).div(1e9).toNumber();
+        logger.deep(`Current paper balance: ${solBalance} SOL`);
+        return solBalance;
+    }
+
+    async getTokenBalance(mint) {
+        return this.getRawBalance(mint).toFixed(0);
+    }
+
+    // Non-zero token balances in the ledger, shaped like WalletManager.getTokenHoldings
+    async getTokenHoldings() {
+        const ledger = this.loadLedger();
+        return Object.entries(ledger.tokens).map(([mint, { amount }]) => ({ mint, amount, decimals: null }));
+    }
+
+    // Fill a Jupiter quote against the simulated ledger, mirroring JupiterApi.executeSwap
+    async executeSwap(quote, options = {}) {
+        try {
+            if (!quote) {
+                throw new Error('A quote is required to execute a swap');
+            }
+
+            const inAmount = new Decimal(quote.inAmount);
+            // Assume the worst fill the slippage tolerance allows
+            const outAmount = new Decimal(quote.outAmount)
+                .times(10000 - this.slippageBps)
+                .div(10000)
+                .floor();
+
+            const inBalance = this.getRawBalance(quote.inputMint);
+            const feeFromIn = quote.inputMint === config.SOL_MINT ? this.feeLamports : 0;
+            if (inBalance.lt(inAmount.plus(feeFromIn))) {
+                throw new Error(`Insufficient paper balance of ${quote.inputMint}: have ${inBalance}, need ${inAmount.plus(feeFromIn)}`);
+            }
+
+            const solBalance = this.getRawBalance(config.SOL_MINT);
+            if (quote.inputMint !== config.SOL_MINT && solBalance.lt(this.feeLamports)) {
+                throw new Error('Insufficient paper SOL balance to cover fees');
+            }
+
+            this.setRawBalance(quote.inputMint, inBalance.minus(inAmount));
+            this.setRawBalance(quote.outputMint, this.getRawBalance(quote.outputMint).plus(outAmount));
+            this.setRawBalance(config.SOL_MINT, this.getRawBalance(config.SOL_MINT).minus(this.feeLamports));
+
+            const result = {
+                signature: `paper-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+                inputMint: quote.inputMint,
+                outputMint: quote.outputMint,
+                inAmount: inAmount.toFixed(0),
+                outAmount: outAmount.toFixed(0),
+                quotedOutAmount: quote.outAmount,
+                feeLamports: this.feeLamports,
+                priorityFeeLamports: 0,
+                computeUnitPriceMicroLamports: 0,
+                urgency: options.urgency || 'normal',
+                slot: null,
+                paper: true
+            };
+
+            this.ledger.trades.push({ ...result, timestamp: new Date().toISOString() });
+            this.saveLedger();
+
+            logger.high(`Paper swap filled: ${result.signature} (in ${result.inAmount}, out ${result.outAmount})`);
+            logger.token(JSON.stringify(result, null, 2));
+            return result;
+        } catch (error) {
+            logger.error(`Failed to execute paper swap: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new PaperTrader();
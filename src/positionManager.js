@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const Decimal = require('decimal.js');
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+
+// Persistent store of open positions. Every fill updates the position it belongs to and
+// the store is written to data/positions.json straight away, so a restart picks up where
+// it left off. Cost is tracked on an average-cost basis: buys add their SOL (including
+// fees) to the cost, sells remove cost in proportion to the tokens sold.
+class PositionManager {
+    constructor() {
+        this.storeFile = path.join(config.DATA_DIR, 'positions.json');
+        this.store = null;
+        this.decimalsCache = new Map();
+    }
+
+    load() {
+        if (this.store) {
+            return this.store;
+        }
+
+        try {
+            this.store = fs.existsSync(this.storeFile)
+                ? JSON.parse(fs.readFileSync(this.storeFile, 'utf8'))
+                : { open: {}, closed: [] };
+            logger.deep(`Loaded ${Object.keys(this.store.open).length} open positions from ${this.storeFile}`);
+        } catch (error) {
+            logger.error(`Failed to load positions: ${error.message}`);
+            throw error;
+        }
+
+        return this.store;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+        fs.writeFileSync(this.storeFile, JSON.stringify(this.store, null, 2));
+    }
+
+    get(mint) {
+        return this.load().open[mint] || null;
+    }
+
+    has(mint) {
+        return Boolean(this.get(mint));
+    }
+
+    getOpenPositions() {
+        return Object.values(this.load().open);
+    }
+
+    getClosedPositions() {
+        return this.load().closed;
+    }
+
+    get size() {
+        return Object.keys(this.load().open).length;
+    }
+
+    // Token decimals are needed to express average cost per whole token
+    async getDecimals(mint) {
+        if (this.decimalsCache.has(mint)) {
+            return this.decimalsCache.get(mint);
+        }
+        try {
+            const supply = await wallet.connection.getTokenSupply(new PublicKey(mint));
+            this.decimalsCache.set(mint, supply.value.decimals);
+            return supply.value.decimals;
+        } catch (error) {
+            logger.error(`Failed to get decimals for ${mint}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Average cost per whole token in SOL and USD, null while decimals are unknown
+    updateAverages(position) {
+        const tokens = new Decimal(position.tokenAmount);
+        if (position.decimals === null || tokens.isZero()) {
+            position.avgCostSol = null;
+            position.avgCostUsd = null;
+            return;
+        }
+
+        const uiAmount = tokens.div(Decimal.pow(10, position.decimals));
+        position.avgCostSol = new Decimal(position.costLamports).div(1e9).div(uiAmount).toNumber();
+        position.avgCostUsd = new Decimal(position.costUsd).div(uiAmount).toNumber();
+    }
+
+    // Apply a buy or sell fill from tradeExecutor to the position for its mint.
+    // details: { side, strategy, symbol, wallet, priceUsd, solPriceUsd, pairCreatedAt }
+    async recordFill(mint, fill, details) {
+        const store = this.load();
+        const now = new Date().toISOString();
+        const solPriceUsd = details.solPriceUsd || 0;
+        let position = store.open[mint];
+        let realizedPnlLamports = null;
+
+        if (details.side === 'buy') {
+            if (!position) {
+                position = {
+                    mint,
+                    symbol: details.symbol || null,
+                    strategy: details.strategy || null,
+                    wallet: details.wallet || null,
+                    decimals: await this.getDecimals(mint),
+                    tokenAmount: '0',
+                    costLamports: 0,
+                    costUsd: 0,
+                    avgCostSol: null,
+                    avgCostUsd: null,
+                    entryPriceUsd: details.priceUsd || null, // Market price when first bought
+                    pairCreatedAt: details.pairCreatedAt || null, // For age bucket analytics
+                    realizedPnlLamports: 0,
+                    fills: [],
+                    openedAt: now,
+                    updatedAt: now,
+                    flagged: null
+                };
+                store.open[mint] = position;
+            }
+
+            const costLamports = Number(fill.inAmount) + fill.feeLamports;
+            position.tokenAmount = new Decimal(position.tokenAmount).plus(fill.outAmount).toFixed(0);
+            position.costLamports += costLamports;
+            position.costUsd += costLamports / 1e9 * solPriceUsd;
+        } else {
+            if (!position) {
+                logger.error(`Sell fill for ${mint} with no open position`);
+                return null;
+            }
+
+            const held = new Decimal(position.tokenAmount);
+            const sold = Decimal.min(new Decimal(fill.inAmount), held);
+            const share = held.isZero() ? new Decimal(1) : sold.div(held);
+            const releasedLamports = share.times(position.costLamports).toNumber();
+
+            realizedPnlLamports = Number(fill.outAmount) - fill.feeLamports - releasedLamports;
+            position.realizedPnlLamports += realizedPnlLamports;
+            position.costLamports -= releasedLamports;
+            position.costUsd -= share.times(position.costUsd).toNumber();
+            position.tokenAmount = held.minus(sold).toFixed(0);
+        }
+
+        position.fills.push({
+            side: details.side,
+            signature: fill.signature,
+            inAmount: fill.inAmount,
+            outAmount: fill.outAmount,
+            feeLamports: fill.feeLamports,
+            realizedPnlLamports,
+            solPriceUsd,
+            timestamp: now
+        });
+        position.updatedAt = now;
+        this.updateAverages(position);
+
+        if (position.tokenAmount === '0') {
+            this.close(mint);
+        } else {
+            this.save();
+        }
+
+        logger.deep(`Position ${position.symbol || mint}: ${position.tokenAmount} tokens, cost ${position.costLamports / 1e9} SOL`);
+        return position;
+    }
+
+    // Record a swap made outside the bot's own decisions (limit, DCA and TWAP orders). The
+    // side follows from the mints: SOL in is a buy of the output token, SOL out a sell of
+    // the input token. Token-to-token swaps are not tracked. details are those of
+    // recordFill without side; pass the wallet name when the swap was not signed by the
+    // default wallet, so later exits go through the wallet that holds the tokens.
+    async recordSwap(fill, details = {}) {
+        try {
+            if (fill.inputMint === config.SOL_MINT) {
+                return await this.recordFill(fill.outputMint, fill, { ...details, side: 'buy' });
+            }
+            if (fill.outputMint === config.SOL_MINT) {
+                return await this.recordFill(fill.inputMint, fill, { ...details, side: 'sell' });
+            }
+            logger.deep(`Not tracking token-to-token swap ${fill.signature}`);
+            return null;
+        } catch (error) {
+            logger.error(`Failed to record swap ${fill.signature}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Merge fields into an open position, e.g. the monitor's price high
+    update(mint, changes) {
+        const position = this.get(mint);
+        if (!position) return null;
+
+        Object.assign(position, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return position;
+    }
+
+    // Per-position exit rule overrides, see positionMonitor.js
+    setExitRules(mint, rules) {
+        const position = this.get(mint);
+        if (!position) return null;
+        return this.update(mint, { exitRules: { ...(position.exitRules || {}), ...rules } });
+    }
+
+    // Move a fully exited position to the closed list
+    close(mint) {
+        const store = this.load();
+        const position = store.open[mint];
+        if (!position) return null;
+
+        position.closedAt = new Date().toISOString();
+        store.closed.push(position);
+        delete store.open[mint];
+        this.save();
+
+        logger.high(`Closed position ${position.symbol || mint}, realized PnL ${(position.realizedPnlLamports / 1e9).toFixed(6)} SOL`);
+        return position;
+    }
+
+    // Compare recorded positions against the wallet's actual token balances, as returned
+    // by tradeExecutor.getTokenHoldings(). Positions whose balance differs are flagged (not
+    // corrected) so they can be reviewed; holdings with no position are reported as untracked.
+    reconcile(holdings) {
+        if (!holdings) {
+            logger.error('Could not load holdings to reconcile positions');
+            return null;
+        }
+
+        const balances = new Map();
+        holdings.forEach(holding => {
+            balances.set(holding.mint, (balances.get(holding.mint) || new Decimal(0)).plus(holding.amount));
+        });
+
+        const mismatches = [];
+        for (const position of this.getOpenPositions()) {
+            const onChain = balances.get(position.mint) || new Decimal(0);
+            if (onChain.eq(position.tokenAmount)) {
+                position.flagged = null;
+                continue;
+            }
+
+            position.flagged = onChain.isZero() ? 'missing' : 'amount mismatch';
+            mismatches.push({ mint: position.mint, type: position.flagged, recorded: position.tokenAmount, onChain: onChain.toFixed(0) });
+        }
+
+        for (const [mint, amount] of balances) {
+            if (mint === config.SOL_MINT || amount.isZero() || this.has(mint)) continue;
+            mismatches.push({ mint, type: 'untracked', recorded: '0', onChain: amount.toFixed(0) });
+        }
+
+        this.save();
+
+        mismatches.forEach(mismatch => {
+            logger.error(`Position mismatch for ${mismatch.mint}: ${mismatch.type} (recorded ${mismatch.recorded}, on chain ${mismatch.onChain})`);
+        });
+        logger.high(`Reconciled ${this.size} positions against holdings, ${mismatches.length} mismatches`);
+        return mismatches;
+    }
+}
+
+module.exports = new PositionManager();
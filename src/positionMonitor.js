@@ -0,0 +1,107 @@
+const config = require('./config');
+const logger = require('./logger');
+const strategies = require('./strategies');
+
+// Default exit rules; strategies override these through their exitRules option and
+// individual positions through positionManager.setExitRules()
+const DEFAULT_RULES = {
+    stopLossPct: 20,                           // Exit when price is this far below cost
+    takeProfitPct: config.PROFIT_TARGET * 100, // Exit when price is this far above cost
+    trailingStopPct: null,                     // Exit when price falls this far from its high
+    maxHoldMs: null                            // Exit after holding this long
+};
+
+// Stop-loss and trailing-stop exits need to land during a dump
+const RULE_URGENCY = {
+    stopLoss: 'emergency',
+    trailingStop: 'emergency',
+    takeProfit: 'normal',
+    timeStop: 'normal'
+};
+
+// Checks open positions against their exit rules on every monitor tick and returns exit
+// intents for the ones that hit a stop, target or time limit
+class PositionMonitor {
+    constructor() {
+        this.defaultRules = { ...DEFAULT_RULES, ...(config.EXIT_RULES || {}) };
+    }
+
+    // Defaults, then the owning strategy's rules, then the position's own overrides
+    getRules(position) {
+        const strategy = position.strategy ? strategies.get(position.strategy) : null;
+        return {
+            ...this.defaultRules,
+            ...(strategy?.exitRules || {}),
+            ...(position.exitRules || {})
+        };
+    }
+
+    // Returns the first rule that fires as { rule, reason }, or null. Pure so backtests
+    // can reuse it; highWaterPriceUsd must already include priceUsd.
+    evaluateExitRules(position, priceUsd, rules, now = Date.now()) {
+        const cost = position.avgCostUsd || position.entryPriceUsd;
+        const changePct = cost ? (priceUsd - cost) / cost * 100 : null;
+
+        if (changePct !== null && rules.stopLossPct !== null && changePct <= -rules.stopLossPct) {
+            return { rule: 'stopLoss', reason: `Stop-loss: ${changePct.toFixed(2)}% at $${priceUsd} (limit -${rules.stopLossPct}%)` };
+        }
+
+        if (rules.trailingStopPct !== null && position.highWaterPriceUsd) {
+            const drawdownPct = (position.highWaterPriceUsd - priceUsd) / position.highWaterPriceUsd * 100;
+            if (drawdownPct >= rules.trailingStopPct) {
+                return { rule: 'trailingStop', reason: `Trailing stop: $${priceUsd} is ${drawdownPct.toFixed(2)}% below high of $${position.highWaterPriceUsd} (limit ${rules.trailingStopPct}%)` };
+            }
+        }
+
+        if (changePct !== null && rules.takeProfitPct !== null && changePct >= rules.takeProfitPct) {
+            return { rule: 'takeProfit', reason: `Take profit: ${changePct.toFixed(2)}% at $${priceUsd} (target ${rules.takeProfitPct}%)` };
+        }
+
+        const heldMs = now - new Date(position.openedAt).getTime();
+        if (rules.maxHoldMs !== null && heldMs >= rules.maxHoldMs) {
+            return { rule: 'timeStop', reason: `Time stop: held ${(heldMs / 60000).toFixed(1)} minutes at $${priceUsd} (limit ${rules.maxHoldMs / 60000} minutes)` };
+        }
+
+        return null;
+    }
+
+    // Update each position's price high and collect exits for the ones whose rules fired.
+    // prices maps mint to current USD price.
+    check(positions, prices, now = Date.now()) {
+        // Loaded here: positionManager needs the wallet, and backtests using
+        // evaluateExitRules must run without an RPC endpoint
+        const positionManager = require('./positionManager');
+        const exits = [];
+
+        for (const position of positions) {
+            const priceUsd = prices.get(position.mint);
+            if (!priceUsd) {
+                logger.deep(`No price for ${position.symbol || position.mint}, skipping exit checks`);
+                continue;
+            }
+
+            if (!position.highWaterPriceUsd || priceUsd > position.highWaterPriceUsd) {
+                positionManager.update(position.mint, { highWaterPriceUsd: priceUsd });
+                position.highWaterPriceUsd = priceUsd;
+            }
+
+            const triggered = this.evaluateExitRules(position, priceUsd, this.getRules(position), now);
+            if (!triggered) continue;
+
+            logger.high(`${position.symbol || position.mint}: ${triggered.reason}`);
+            exits.push({
+                type: 'exit',
+                strategy: position.strategy,
+                mint: position.mint,
+                rule: triggered.rule,
+                priceUsd,
+                urgency: RULE_URGENCY[triggered.rule],
+                reason: triggered.reason
+            });
+        }
+
+        return exits;
+    }
+}
+
+module.exports = new PositionMonitor();
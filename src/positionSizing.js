@@ -0,0 +1,176 @@
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+const priceFeed = require('./priceFeed');
+const jupiterApi = require('./jupiterApi');
+
+// Default FX source: daily ECB reference rates from frankfurter.app, no API key needed.
+// Any object with getUsdRate(currency) can replace it via setFxSource().
+const frankfurterFxSource = {
+    async getUsdRate(currency) {
+        const response = await axios.get('https://api.frankfurter.app/latest', {
+            params: { from: currency, to: 'USD' },
+            timeout: 10000
+        });
+        return response.data.rates.USD;
+    }
+};
+
+// Turns the CAD trade budget into a lamport size for an entry. The budget is converted
+// CAD -> USD -> SOL, scaled by the sizing model, then capped so the buy stays under
+// TARGET_PRICE_IMPACT_PCT on the pool's measured depth.
+//
+// Models:
+//   fixed           - the converted budget as is
+//   percentOfEquity - equityPct of current equity (SOL balance plus open position cost)
+//   volatility      - budget scaled by targetVolatilityPct / the token's hourly volatility
+//   kelly           - kellyFraction of the Kelly bet for the given win rate and payoff
+//                     ratio, as a share of equity
+class PositionSizing {
+    constructor() {
+        this.settings = { ...config.POSITION_SIZING };
+        this.budgetCad = config.TRADE_AMOUNT_CAD;
+        this.fxSource = frankfurterFxSource;
+        this.fxCacheMs = 60 * 60 * 1000; // FX rates move slowly; refresh hourly
+        this.fxCache = new Map();
+    }
+
+    setFxSource(source) {
+        this.fxSource = source;
+        this.fxCache.clear();
+    }
+
+    async getUsdRate(currency) {
+        if (currency === 'USD') return 1;
+
+        const cached = this.fxCache.get(currency);
+        if (cached && Date.now() - cached.timestamp < this.fxCacheMs) {
+            return cached.rate;
+        }
+
+        try {
+            const rate = await this.fxSource.getUsdRate(currency);
+            this.fxCache.set(currency, { rate, timestamp: Date.now() });
+            logger.deep(`FX rate ${currency}/USD: ${rate}`);
+            return rate;
+        } catch (error) {
+            logger.error(`Failed to get ${currency}/USD rate: ${error.message}`);
+            // A stale rate is better than not trading at all
+            return cached ? cached.rate : null;
+        }
+    }
+
+    // Convert an amount in a fiat currency to lamports at the current SOL price
+    async fiatToLamports(amount, currency = 'CAD') {
+        const usdRate = await this.getUsdRate(currency);
+        const solPriceUsd = await priceFeed.getSolPriceUsd();
+        if (!usdRate || !solPriceUsd) {
+            return null;
+        }
+        return Math.floor(amount * usdRate / solPriceUsd * 1e9);
+    }
+
+    // Hourly volatility estimate in % from a DexScreener pair's price changes, each window
+    // scaled to one hour by the square root of time
+    estimateVolatilityPct(token) {
+        const change = token?.priceChange || {};
+        const samples = [
+            change.m5 !== undefined ? change.m5 * Math.sqrt(12) : null,
+            change.h1 !== undefined ? change.h1 : null,
+            change.h6 !== undefined ? change.h6 / Math.sqrt(6) : null,
+            change.h24 !== undefined ? change.h24 / Math.sqrt(24) : null
+        ].filter(sample => sample !== null && Number.isFinite(sample));
+
+        if (samples.length === 0) return null;
+        return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    }
+
+    // Kelly fraction f* = W - (1 - W) / R, where W is the win rate and R the ratio of the
+    // average win to the average loss. Negative edges size to zero.
+    kellyFraction(winRate, payoffRatio) {
+        if (!winRate || !payoffRatio) return 0;
+        return Math.max(0, winRate - (1 - winRate) / payoffRatio);
+    }
+
+    // Size before the depth cap, in lamports
+    applyModel(model, budgetLamports, { token, equityLamports, stats }, settings) {
+        switch (model) {
+            case 'fixed':
+                return { lamports: budgetLamports, detail: `${this.budgetCad} CAD budget` };
+            case 'percentOfEquity':
+                return {
+                    lamports: Math.floor(equityLamports * settings.equityPct / 100),
+                    detail: `${settings.equityPct}% of ${(equityLamports / 1e9).toFixed(4)} SOL equity`
+                };
+            case 'volatility': {
+                const volatilityPct = this.estimateVolatilityPct(token);
+                if (!volatilityPct) {
+                    return { lamports: budgetLamports, detail: 'no volatility data, using budget' };
+                }
+                const scale = Math.min(settings.maxVolatilityScale, settings.targetVolatilityPct / volatilityPct);
+                return {
+                    lamports: Math.floor(budgetLamports * scale),
+                    detail: `${volatilityPct.toFixed(2)}% hourly volatility, scale ${scale.toFixed(2)}`
+                };
+            }
+            case 'kelly': {
+                const winRate = stats?.winRate ?? settings.winRate;
+                const payoffRatio = stats?.payoffRatio ?? settings.payoffRatio;
+                if (!winRate || !payoffRatio) {
+                    // Until there is a track record, trade the budget so one can build up
+                    return { lamports: budgetLamports, detail: 'no win rate or payoff ratio yet, using budget' };
+                }
+                const fraction = this.kellyFraction(winRate, payoffRatio) * settings.kellyFraction;
+                return {
+                    lamports: Math.floor(equityLamports * fraction),
+                    detail: `Kelly ${(fraction * 100).toFixed(2)}% of equity (win rate ${winRate}, payoff ${payoffRatio})`
+                };
+            }
+            default:
+                throw new Error(`Unknown sizing model: ${model}`);
+        }
+    }
+
+    // Size an entry into mint. options: { token, equityLamports, stats, settings }, where
+    // stats may carry { winRate, payoffRatio } from trade analytics and settings overrides
+    // config.POSITION_SIZING (e.g. per strategy). Returns null when no size can be set.
+    async size(mint, options = {}) {
+        try {
+            const settings = { ...this.settings, ...(options.settings || {}) };
+            const budgetLamports = await this.fiatToLamports(this.budgetCad, 'CAD');
+            if (!budgetLamports) {
+                throw new Error('Could not convert the CAD budget to SOL');
+            }
+
+            const { lamports: modelLamports, detail } = this.applyModel(settings.model, budgetLamports, options, settings);
+            const maxLamports = Math.floor(settings.maxPositionSol * 1e9);
+            let lamports = Math.min(modelLamports, maxLamports);
+
+            let depthLimitLamports = null;
+            if (lamports > 0 && settings.capByDepth) {
+                const depth = await jupiterApi.measureDepth(config.SOL_MINT, mint, lamports, {
+                    targetImpactPct: config.TARGET_PRICE_IMPACT_PCT
+                });
+                depthLimitLamports = depth ? Number(depth.maxSizeUnderTarget) : 0;
+                lamports = Math.min(lamports, depthLimitLamports);
+            }
+
+            const sizing = {
+                model: settings.model,
+                budgetLamports,
+                modelLamports,
+                depthLimitLamports,
+                lamports: lamports >= settings.minTradeSol * 1e9 ? lamports : 0,
+                detail
+            };
+
+            logger.high(`Sized ${mint} with ${settings.model}: ${(sizing.lamports / 1e9).toFixed(4)} SOL (${detail}${depthLimitLamports !== null ? `, depth limit ${(depthLimitLamports / 1e9).toFixed(4)} SOL` : ''})`);
+            return sizing;
+        } catch (error) {
+            logger.error(`Failed to size position in ${mint}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new PositionSizing();
@@ -0,0 +1,39 @@
+const config = require('./config');
+const logger = require('./logger');
+const birdeyeApi = require('./birdeyeApi');
+const dexScreener = require('./dexScreener');
+
+class PriceFeed {
+    // USD price of a token from Birdeye, falling back to the deepest DexScreener pool
+    async getTokenPriceUsd(tokenMint) {
+        const priceData = await birdeyeApi.getTokenPrice(tokenMint);
+        if (priceData && priceData.value) {
+            return { priceUsd: priceData.value, source: 'birdeye' };
+        }
+
+        logger.deep(`Birdeye price unavailable for ${tokenMint}, falling back to DexScreener`);
+        const pools = await dexScreener.getTokenPools(tokenMint);
+        const pool = pools
+            .filter(p => p.baseToken?.address === tokenMint && p.priceUsd)
+            .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+
+        if (pool) {
+            return {
+                priceUsd: parseFloat(pool.priceUsd),
+                // priceNative is quoted in the pool's quote token, only usable directly for SOL pairs
+                priceSol: pool.quoteToken?.address === config.SOL_MINT ? parseFloat(pool.priceNative) : null,
+                source: 'dexscreener'
+            };
+        }
+
+        logger.error(`No price available for ${tokenMint}`);
+        return null;
+    }
+
+    async getSolPriceUsd() {
+        const price = await this.getTokenPriceUsd(config.SOL_MINT);
+        return price ? price.priceUsd : null;
+    }
+}
+
+module.exports = new PriceFeed();
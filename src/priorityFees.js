@@ -0,0 +1,85 @@
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+class PriorityFeeEstimator {
+    constructor() {
+        this.connection = wallet.connection;
+        this.percentiles = config.PRIORITY_FEE_PERCENTILES;
+        this.minFee = config.PRIORITY_FEE_MIN_MICROLAMPORTS || 0;
+        this.maxFee = config.PRIORITY_FEE_MAX_MICROLAMPORTS;
+        this.maxLockedAccounts = 128; // RPC limit for lockedWritableAccounts
+
+        // Fees actually paid by confirmed transactions
+        this.feesPaid = [];
+    }
+
+    // Writable pool accounts touched by a Jupiter route
+    getRouteAccounts(quote) {
+        const accounts = (quote?.routePlan || [])
+            .map(hop => hop.swapInfo?.ammKey)
+            .filter(Boolean);
+        return [...new Set(accounts)].slice(0, this.maxLockedAccounts);
+    }
+
+    getPercentile(values, percentile) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    // Compute unit price in micro-lamports for a quote at the given urgency
+    // ('normal' entry, 'fast' entry or 'emergency' exit)
+    async estimate(quote, urgency = 'normal') {
+        try {
+            const percentile = this.percentiles[urgency];
+            if (typeof percentile === 'undefined') {
+                throw new Error(`Unknown priority fee urgency: ${urgency}`);
+            }
+
+            const accounts = this.getRouteAccounts(quote);
+            const recentFees = await this.connection.getRecentPrioritizationFees({
+                lockedWritableAccounts: accounts.map(account => new PublicKey(account))
+            });
+
+            const sampled = this.getPercentile(recentFees.map(fee => fee.prioritizationFee), percentile);
+            let fee = Math.max(this.minFee, sampled);
+            if (this.maxFee) {
+                fee = Math.min(this.maxFee, fee);
+            }
+
+            logger.deep(`Priority fee for ${urgency} (p${percentile} over ${recentFees.length} slots, ${accounts.length} accounts): ${fee} micro-lamports/CU`);
+            return fee;
+        } catch (error) {
+            logger.error(`Failed to estimate priority fee: ${error.message}`);
+            return this.minFee;
+        }
+    }
+
+    // Split a confirmed transaction's fee into base and priority parts and keep a record of it
+    recordFeePaid(signature, feeLamports, signatureCount = 1, details = {}) {
+        const baseFeeLamports = LAMPORTS_PER_SIGNATURE * signatureCount;
+        const record = {
+            signature,
+            feeLamports,
+            baseFeeLamports,
+            priorityFeeLamports: Math.max(0, feeLamports - baseFeeLamports),
+            timestamp: new Date().toISOString(),
+            ...details
+        };
+
+        this.feesPaid.push(record);
+        logger.deep(`Fee paid for ${signature}: ${feeLamports} lamports (${record.priorityFeeLamports} priority)`);
+        return record;
+    }
+
+    getTotalFeesPaid() {
+        return this.feesPaid.reduce((sum, record) => sum + record.feeLamports, 0);
+    }
+}
+
+module.exports = new PriorityFeeEstimator();
@@ -0,0 +1,18 @@
+const readline = require('readline');
+
+// Prompt on the terminal without echoing what is typed
+function promptHidden(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = text => {
+            if (text.startsWith(question)) rl.output.write(question);
+        };
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+module.exports = { promptHidden };
@@ -0,0 +1,155 @@
+const { PublicKey } = require('@solana/web3.js');
+const { Token, u64 } = require('@solana/spl-token');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const transactionSender = require('./transactionSender');
+
+// Closes empty token accounts left behind by trades to recover their rent, optionally
+// burning dust balances worth less than a USD threshold first
+class RentReclaimer {
+    constructor() {
+        this.accountsPerTransaction = 8; // Keeps burn + close batches well under the size limit
+        this.dustThresholdUsd = config.DUST_THRESHOLD_USD || null;
+        this.intervalMs = config.RENT_RECLAIM_INTERVAL_MS || 6 * 60 * 60 * 1000;
+        this.timer = null;
+        this.currentRun = null; // Running reclaim, awaited on stop
+        this.stopping = false;
+    }
+
+    // Token accounts that can be closed, with the dust ones marked for burning.
+    // Wrapped SOL is closed directly since closing it unwraps the balance.
+    selectAccounts(holdings, burnDustBelowUsd, excludeMints) {
+        return holdings
+            .filter(holding => !excludeMints.includes(holding.mint))
+            .map(holding => {
+                if (holding.amount === '0' || holding.mint === config.SOL_MINT) {
+                    return { ...holding, burn: false };
+                }
+                if (burnDustBelowUsd !== null && holding.valueUsd !== null && holding.valueUsd < burnDustBelowUsd) {
+                    return { ...holding, burn: true };
+                }
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    buildInstructions(account, owner) {
+        const programId = new PublicKey(account.programId);
+        const tokenAccount = new PublicKey(account.account);
+        const instructions = [];
+
+        if (account.burn) {
+            instructions.push(Token.createBurnInstruction(
+                programId,
+                new PublicKey(account.mint),
+                tokenAccount,
+                owner,
+                [],
+                new u64(account.amount)
+            ));
+        }
+
+        instructions.push(Token.createCloseAccountInstruction(programId, tokenAccount, owner, owner, []));
+        return instructions;
+    }
+
+    createReport() {
+        return { closed: 0, burned: 0, recoveredLamports: 0, recoveredSol: 0, signatures: [], failedBatches: 0 };
+    }
+
+    // Close empty (and optionally dust) token accounts of a wallet in batched transactions
+    async reclaim(options = {}) {
+        if (this.currentRun) {
+            logger.deep('Rent reclamation already running, skipping');
+            return this.createReport();
+        }
+
+        this.currentRun = this.reclaimAccounts(options).finally(() => {
+            this.currentRun = null;
+        });
+        return this.currentRun;
+    }
+
+    async reclaimAccounts(options) {
+        const signer = options.wallet || wallet;
+        const burnDustBelowUsd = options.burnDustBelowUsd ?? this.dustThresholdUsd;
+        const excludeMints = options.excludeMints || [];
+        const report = this.createReport();
+
+        try {
+            if (!signer.keypair) {
+                throw new Error('Wallet not initialized');
+            }
+
+            const holdings = await signer.getTokenHoldings({ includeValue: burnDustBelowUsd !== null });
+            if (!holdings) {
+                throw new Error('Could not list token accounts');
+            }
+
+            const accounts = this.selectAccounts(holdings, burnDustBelowUsd, excludeMints);
+            logger.high(`Rent reclamation: ${accounts.length} closable token accounts (${accounts.filter(a => a.burn).length} with dust to burn)`);
+
+            const owner = signer.keypair.publicKey;
+            for (let index = 0; index < accounts.length; index += this.accountsPerTransaction) {
+                if (this.stopping) {
+                    logger.high('Rent reclamation stopped before remaining batches');
+                    break;
+                }
+                const batch = accounts.slice(index, index + this.accountsPerTransaction);
+                const instructions = batch.flatMap(account => this.buildInstructions(account, owner));
+
+                if (options.dryRun) {
+                    logger.high(`Dry run: would close ${batch.length} accounts`);
+                    continue;
+                }
+
+                const outcome = await transactionSender.sendInstructions(instructions, [signer.keypair]);
+                if (outcome.status !== 'confirmed') {
+                    report.failedBatches++;
+                    logger.error(`Rent reclamation batch ${outcome.status}: ${JSON.stringify(outcome.error || '')}`);
+                    continue;
+                }
+
+                report.signatures.push(outcome.signature);
+                report.closed += batch.length;
+                report.burned += batch.filter(account => account.burn).length;
+                report.recoveredLamports += batch.reduce((sum, account) => sum + account.lamports, 0);
+            }
+
+            report.recoveredSol = report.recoveredLamports / 1e9;
+            logger.high(`Rent reclamation closed ${report.closed} accounts (${report.burned} burned), recovered ${report.recoveredSol} SOL`);
+            return report;
+        } catch (error) {
+            logger.error(`Rent reclamation failed: ${error.message}`);
+            report.error = error.message;
+            return report;
+        }
+    }
+
+    // Run reclaim() every intervalMs; options may be a function so each run can pick up
+    // current state such as mints with open positions to exclude
+    start(options = {}, intervalMs = this.intervalMs) {
+        if (this.timer) {
+            return;
+        }
+        logger.high(`Scheduled rent reclamation every ${intervalMs / 60000} minutes`);
+        this.stopping = false;
+        this.timer = setInterval(() => this.reclaim(typeof options === 'function' ? options() : options), intervalMs);
+    }
+
+    // Stop scheduling and wait for a batch in flight to confirm
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.currentRun) {
+            this.stopping = true;
+            await this.currentRun;
+        }
+        this.stopping = false;
+    }
+}
+
+module.exports = new RentReclaimer();
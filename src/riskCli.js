@@ -0,0 +1,34 @@
+// Inspect or reset the risk circuit breaker
+//
+//   node src/riskCli.js status
+//   node src/riskCli.js reset
+
+const riskManager = require('./riskManager');
+
+function main() {
+    const [command] = process.argv.slice(2);
+
+    switch (command) {
+        case 'status': {
+            const breaker = riskManager.getBreaker();
+            console.log(breaker
+                ? `Breaker TRIPPED at ${breaker.trippedAt}: ${breaker.reason}`
+                : 'Breaker not tripped, trading allowed');
+            break;
+        }
+        case 'reset': {
+            const previous = riskManager.resetBreaker();
+            console.log(previous ? `Breaker reset (was: ${previous.reason})` : 'Breaker was not tripped');
+            break;
+        }
+        default:
+            throw new Error('Usage: node src/riskCli.js <status|reset>');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
+const logger = require('./logger');
+const positionManager = require('./positionManager');
+
+// Portfolio-level limits every entry must pass before it executes. A breached limit
+// blocks the entry and emits an 'alert' event; severe breaches (a fast equity drawdown)
+// trip a breaker that pauses all new trading until an operator resets it with
+// `node src/riskCli.js reset`. Exits are never blocked.
+//
+// Breaker state lives in data/risk_state.json so it survives restarts and can be reset
+// from outside the running bot.
+class RiskManager extends EventEmitter {
+    constructor() {
+        super();
+        this.limits = { maxOpenPositions: config.MAX_OPEN_POSITIONS, ...config.RISK_LIMITS };
+        this.stateFile = path.join(config.DATA_DIR, 'risk_state.json');
+        this.equitySamples = [];
+        this.alertCooldownMs = 5 * 60 * 1000; // Repeat the same alert at most this often
+        this.lastAlerts = new Map();
+    }
+
+    // Read on every check so a reset from the CLI takes effect immediately
+    loadState() {
+        try {
+            return fs.existsSync(this.stateFile)
+                ? JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))
+                : { breaker: null };
+        } catch (error) {
+            logger.error(`Failed to load risk state: ${error.message}`);
+            // Fail closed: an unreadable state file is treated as a tripped breaker
+            return { breaker: { reason: 'Risk state unreadable', trippedAt: new Date().toISOString() } };
+        }
+    }
+
+    saveState(state) {
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+    }
+
+    alert(type, severity, message, details = {}) {
+        const last = this.lastAlerts.get(type);
+        if (last && Date.now() - last < this.alertCooldownMs) {
+            return;
+        }
+        this.lastAlerts.set(type, Date.now());
+
+        logger.error(`Risk alert [${severity}] ${type}: ${message}`);
+        this.emit('alert', { type, severity, message, details, timestamp: new Date().toISOString() });
+    }
+
+    getBreaker() {
+        return this.loadState().breaker;
+    }
+
+    isPaused() {
+        return Boolean(this.getBreaker());
+    }
+
+    tripBreaker(reason, details = {}) {
+        const state = this.loadState();
+        if (state.breaker) return;
+
+        state.breaker = { reason, details, trippedAt: new Date().toISOString() };
+        this.saveState(state);
+        this.alert('breaker', 'critical', `Circuit breaker tripped, trading paused: ${reason}`, details);
+    }
+
+    // Reset usually comes from riskCli in another process, so the reset time is saved for
+    // the running bot to drop the equity samples (and peak) from before it
+    resetBreaker() {
+        const state = this.loadState();
+        const previous = state.breaker;
+        state.breaker = null;
+        state.resetAt = new Date().toISOString();
+        this.saveState(state);
+        this.equitySamples = [];
+        logger.high(`Circuit breaker reset${previous ? ` (was: ${previous.reason})` : ''}`);
+        return previous;
+    }
+
+    // Realized PnL of today's (UTC) sell fills and the closed trades they ended, oldest first
+    getTodaysResults(now = Date.now()) {
+        const dayStart = new Date(now).setUTCHours(0, 0, 0, 0);
+        const isToday = timestamp => new Date(timestamp).getTime() >= dayStart;
+
+        const realizedLamports = [...positionManager.getOpenPositions(), ...positionManager.getClosedPositions()]
+            .flatMap(position => position.fills)
+            .filter(fill => fill.side === 'sell' && fill.realizedPnlLamports !== null && isToday(fill.timestamp))
+            .reduce((sum, fill) => sum + fill.realizedPnlLamports, 0);
+
+        const closedToday = positionManager.getClosedPositions()
+            .filter(position => isToday(position.closedAt))
+            .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+        return { realizedLamports, closedToday };
+    }
+
+    // Losing trades since the last winner, counting only trades closed today
+    getConsecutiveLosses(closedToday) {
+        let losses = 0;
+        for (let index = closedToday.length - 1; index >= 0; index--) {
+            if (closedToday[index].realizedPnlLamports >= 0) break;
+            losses++;
+        }
+        return losses;
+    }
+
+    // Check an entry of `lamports` into `mint` for `strategy`, given the wallet's current
+    // SOL balance. Returns { allowed, reason }.
+    checkEntry({ mint, lamports, strategy = null, balanceSol }) {
+        const block = (type, reason, details = {}) => {
+            this.alert(type, 'warning', `Entry into ${mint} blocked: ${reason}`, details);
+            return { allowed: false, reason };
+        };
+
+        const breaker = this.getBreaker();
+        if (breaker) {
+            return { allowed: false, reason: `Trading paused by circuit breaker: ${breaker.reason}` };
+        }
+
+        const limits = this.limits;
+        const positions = positionManager.getOpenPositions();
+        const existing = positionManager.get(mint);
+
+        if (!existing && positions.length >= limits.maxOpenPositions) {
+            return block('maxOpenPositions', `${positions.length} open positions (limit ${limits.maxOpenPositions})`);
+        }
+
+        const tokenExposure = (existing ? existing.costLamports : 0) + lamports;
+        if (tokenExposure > limits.maxTokenExposureSol * 1e9) {
+            return block('tokenExposure', `exposure to ${mint} would be ${(tokenExposure / 1e9).toFixed(4)} SOL (limit ${limits.maxTokenExposureSol} SOL)`);
+        }
+
+        if (strategy) {
+            const strategyExposure = positions
+                .filter(position => position.strategy === strategy)
+                .reduce((sum, position) => sum + position.costLamports, 0) + lamports;
+            if (strategyExposure > limits.maxStrategyExposureSol * 1e9) {
+                return block('strategyExposure', `${strategy} exposure would be ${(strategyExposure / 1e9).toFixed(4)} SOL (limit ${limits.maxStrategyExposureSol} SOL)`);
+            }
+        }
+
+        const { realizedLamports, closedToday } = this.getTodaysResults();
+        if (-realizedLamports >= limits.maxDailyLossSol * 1e9) {
+            return block('dailyLoss', `realized loss today is ${(-realizedLamports / 1e9).toFixed(4)} SOL (limit ${limits.maxDailyLossSol} SOL)`);
+        }
+
+        const consecutiveLosses = this.getConsecutiveLosses(closedToday);
+        if (consecutiveLosses >= limits.maxConsecutiveLosses) {
+            return block('consecutiveLosses', `${consecutiveLosses} consecutive losing trades (limit ${limits.maxConsecutiveLosses})`);
+        }
+
+        if (balanceSol !== undefined && balanceSol - lamports / 1e9 < limits.minSolReserve) {
+            return block('solReserve', `would leave ${(balanceSol - lamports / 1e9).toFixed(4)} SOL (reserve ${limits.minSolReserve} SOL)`);
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    // Record an equity sample and trip the breaker if equity fell more than
+    // maxDrawdownPct from its peak within the drawdown window
+    recordEquity(equityLamports, now = Date.now()) {
+        const { resetAt } = this.loadState();
+        const windowStart = Math.max(now - this.limits.drawdownWindowMs, resetAt ? new Date(resetAt).getTime() : 0);
+        this.equitySamples = this.equitySamples.filter(sample => sample.timestamp >= windowStart);
+        this.equitySamples.push({ equityLamports, timestamp: now });
+
+        const peak = Math.max(...this.equitySamples.map(sample => sample.equityLamports));
+        const drawdownPct = peak > 0 ? (peak - equityLamports) / peak * 100 : 0;
+        logger.deep(`Equity ${(equityLamports / 1e9).toFixed(4)} SOL, drawdown ${drawdownPct.toFixed(2)}% from window peak`);
+
+        if (drawdownPct >= this.limits.maxDrawdownPct) {
+            this.tripBreaker(`Equity fell ${drawdownPct.toFixed(2)}% within ${this.limits.drawdownWindowMs / 60000} minutes`, {
+                peakLamports: peak,
+                equityLamports
+            });
+        }
+        return drawdownPct;
+    }
+}
+
+module.exports = new RiskManager();
@@ -0,0 +1,167 @@
+const config = require('../config');
+const Strategy = require('./strategy');
+
+// Default criteria for token discovery
+const DEFAULT_CRITERIA = {
+    veryRecent: { // For tokens < 1 hour old
+        minPriceChangeM5: 1,    // 1%
+        minVolumeM5: 500,       // $500
+        minLiquidityUsd: 3000   // $3,000
+    },
+    recent: { // For tokens 1-24 hours old
+        minPriceChangeH1: 5,    // 5%
+        minVolumeH1: 5000,      // $5,000
+        minLiquidityUsd: 3000   // $3,000
+    }
+};
+
+// Relaxed criteria used when nothing meets the primary set
+const DEFAULT_FALLBACK_CRITERIA = {
+    veryRecent: {
+        minPriceChangeM5: 0.5,  // 0.5%
+        minVolumeM5: 100,       // $100
+        minLiquidityUsd: 1000   // $1,000
+    },
+    recent: {
+        minPriceChangeH1: 2,    // 2%
+        minVolumeH1: 1000,      // $1,000
+        minLiquidityUsd: 1000   // $1,000
+    }
+};
+
+// Labels of the two age buckets the criteria are split by; analytics.js reports by them too
+const AGE_BUCKETS = {
+    veryRecent: 'Very Recent (<1h)',
+    recent: 'Recent (1-24h)'
+};
+
+// Buys pairs showing early momentum, with thresholds that depend on pair age:
+// 5 minute price change and volume for pairs under an hour old, 1 hour figures for
+// older ones. Pairs older than maxPairAgeMs (24 hours) are not considered, whether the
+// candidates come from live discovery or a backtest replay. Exits are left to the
+// position monitor's rules.
+class AgeMomentumStrategy extends Strategy {
+    constructor(options = {}) {
+        super('ageMomentum', options);
+        this.criteria = options.criteria || DEFAULT_CRITERIA;
+        this.fallbackCriteria = options.fallbackCriteria === undefined ? DEFAULT_FALLBACK_CRITERIA : options.fallbackCriteria;
+        this.veryRecentThreshold = options.veryRecentThresholdMs || 1 * 60 * 60 * 1000; // 1 hour in milliseconds
+        this.maxPairAge = options.maxPairAgeMs || 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    }
+
+    // Pairs of a real token (not SOL itself) created within maxPairAge
+    isEligible(token, now = Date.now()) {
+        const address = token.baseToken?.address;
+        if (!address || address === config.SOL_MINT || !token.pairCreatedAt) return false;
+
+        const ageInMs = now - new Date(token.pairCreatedAt).getTime();
+        return ageInMs >= 0 && ageInMs <= this.maxPairAge;
+    }
+
+    // Check a single pair against the criteria for its age
+    evaluateToken(token, criteriaSet, useFallback, now = Date.now()) {
+        // Calculate age in hours
+        const ageInMs = now - new Date(token.pairCreatedAt).getTime();
+        const ageHours = ageInMs / (1000 * 60 * 60);
+
+        // Determine which criteria to apply based on age
+        const isVeryRecent = ageInMs < this.veryRecentThreshold;
+        const criteria = isVeryRecent ? criteriaSet.veryRecent : criteriaSet.recent;
+
+        const decision = {
+            token,
+            ageHours,
+            isVeryRecent,
+            appliedCriteria: isVeryRecent ? AGE_BUCKETS.veryRecent : AGE_BUCKETS.recent,
+            criteriaLevel: useFallback ? 'Fallback' : 'Primary',
+            checks: {},
+            buyDecision: false
+        };
+
+        if (isVeryRecent) {
+            // For tokens less than 1 hour old
+            decision.checks.priceChangeM5 = token.priceChange && token.priceChange.m5 > criteria.minPriceChangeM5;
+            decision.checks.volumeM5 = token.volume && token.volume.m5 && parseFloat(token.volume.m5) > criteria.minVolumeM5;
+            decision.checks.liquidity = token.liquidity && token.liquidity.usd && parseFloat(token.liquidity.usd) > criteria.minLiquidityUsd;
+
+            // All criteria must be met
+            decision.buyDecision = decision.checks.priceChangeM5 && decision.checks.volumeM5 && decision.checks.liquidity;
+
+            // Add detailed metrics for debugging
+            decision.metrics = {
+                priceChangeM5: token.priceChange?.m5 || 'N/A',
+                volumeM5: token.volume?.m5 || 'N/A',
+                liquidity: token.liquidity?.usd || 'N/A'
+            };
+        } else {
+            // For tokens 1-24 hours old
+            decision.checks.priceChangeH1 = token.priceChange && token.priceChange.h1 > criteria.minPriceChangeH1;
+            decision.checks.volumeH1 = token.volume && token.volume.h1 && parseFloat(token.volume.h1) > criteria.minVolumeH1;
+            decision.checks.liquidity = token.liquidity && token.liquidity.usd && parseFloat(token.liquidity.usd) > criteria.minLiquidityUsd;
+
+            // All criteria must be met
+            decision.buyDecision = decision.checks.priceChangeH1 && decision.checks.volumeH1 && decision.checks.liquidity;
+
+            // Add detailed metrics for debugging
+            decision.metrics = {
+                priceChangeH1: token.priceChange?.h1 || 'N/A',
+                volumeH1: token.volume?.h1 || 'N/A',
+                liquidity: token.liquidity?.usd || 'N/A'
+            };
+        }
+
+        return decision;
+    }
+
+    // Apply the primary or fallback criteria to a list of pairs
+    applyCriteria(tokens, useFallback = false, now = Date.now()) {
+        const criteriaSet = useFallback ? this.fallbackCriteria : this.criteria;
+
+        this.log(`Applying ${useFallback ? 'fallback' : 'primary'} age-based buying criteria...`);
+
+        if (useFallback) {
+            this.log('Using relaxed criteria thresholds:');
+            this.log(`Very Recent (<1h): m5 change > ${criteriaSet.veryRecent.minPriceChangeM5}%, m5 volume > $${criteriaSet.veryRecent.minVolumeM5}, liquidity > $${criteriaSet.veryRecent.minLiquidityUsd}`);
+            this.log(`Recent (1-24h): h1 change > ${criteriaSet.recent.minPriceChangeH1}%, h1 volume > $${criteriaSet.recent.minVolumeH1}, liquidity > $${criteriaSet.recent.minLiquidityUsd}`);
+        }
+
+        const buyDecisions = tokens.map(token => this.evaluateToken(token, criteriaSet, useFallback, now));
+
+        // Filter to only include positive buy decisions
+        const positiveBuyDecisions = buyDecisions.filter(decision => decision.buyDecision);
+
+        this.log(`Found ${positiveBuyDecisions.length} tokens meeting the ${useFallback ? 'fallback' : 'primary'} buying criteria`);
+
+        return {
+            all: buyDecisions,
+            buy: positiveBuyDecisions
+        };
+    }
+
+    // Primary criteria first, relaxed criteria only if nothing qualified
+    entries({ candidates, positions, now }) {
+        const eligible = candidates.filter(token => this.isEligible(token, now));
+        let decisions = this.applyCriteria(eligible, false, now).buy;
+        if (decisions.length === 0 && this.fallbackCriteria) {
+            this.log('No tokens met primary criteria, trying fallback criteria...');
+            decisions = this.applyCriteria(eligible, true, now).buy;
+        }
+
+        const held = new Set(positions.map(position => position.mint));
+        return decisions
+            .filter(decision => !held.has(decision.token.baseToken.address))
+            .sort((a, b) => a.ageHours - b.ageHours)
+            .map(decision => ({
+                mint: decision.token.baseToken.address,
+                token: decision.token,
+                reason: `${decision.appliedCriteria} ${decision.criteriaLevel.toLowerCase()} criteria met`,
+                decision
+            }));
+    }
+}
+
+AgeMomentumStrategy.DEFAULT_CRITERIA = DEFAULT_CRITERIA;
+AgeMomentumStrategy.DEFAULT_FALLBACK_CRITERIA = DEFAULT_FALLBACK_CRITERIA;
+AgeMomentumStrategy.AGE_BUCKETS = AGE_BUCKETS;
+
+module.exports = AgeMomentumStrategy;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../logger');
+const Strategy = require('./strategy');
+const AgeMomentumStrategy = require('./ageMomentum');
+
+// Strategy factories by name. Strategies listed in config.STRATEGIES are created with
+// their entry from config.STRATEGY_OPTIONS and run side by side.
+class StrategyRegistry {
+    constructor() {
+        this.factories = new Map();
+        this.active = [];
+
+        this.register('ageMomentum', options => new AgeMomentumStrategy(options));
+    }
+
+    register(name, factory) {
+        this.factories.set(name, factory);
+    }
+
+    create(name, options = {}) {
+        const factory = this.factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown strategy: ${name}`);
+        }
+        return factory(options);
+    }
+
+    loadFromConfig(names = config.STRATEGIES, options = this.loadOptions()) {
+        this.active = names.map(name => this.create(name, options[name]));
+        logger.high(`Loaded strategies: ${this.active.map(strategy => strategy.name).join(', ')}`);
+        return this.active;
+    }
+
+    // STRATEGY_OPTIONS with STRATEGY_OPTIONS_FILE merged over it per strategy
+    loadOptions() {
+        const options = { ...(config.STRATEGY_OPTIONS || {}) };
+        if (config.STRATEGY_OPTIONS_FILE) {
+            const fromFile = JSON.parse(fs.readFileSync(config.STRATEGY_OPTIONS_FILE, 'utf8'));
+            Object.entries(fromFile).forEach(([name, strategyOptions]) => {
+                options[name] = { ...(options[name] || {}), ...strategyOptions };
+            });
+            logger.high(`Loaded strategy options from ${config.STRATEGY_OPTIONS_FILE}`);
+        }
+        return options;
+    }
+
+    get(name) {
+        return this.active.find(strategy => strategy.name === name) || null;
+    }
+
+    // Run every active strategy and merge the intents. A strategy that throws is skipped
+    // for this cycle. When several strategies want to enter the same token, the first in
+    // config order wins; an exit for a token supersedes any resize of it.
+    evaluate(context) {
+        const intents = [];
+        for (const strategy of this.active) {
+            try {
+                intents.push(...strategy.evaluate(context));
+            } catch (error) {
+                logger.error(`Strategy ${strategy.name} failed: ${error.message}`);
+            }
+        }
+
+        const exiting = new Set(intents.filter(intent => intent.type === 'exit').map(intent => intent.mint));
+        const entering = new Set();
+        return intents.filter(intent => {
+            if (intent.type === 'resize') return !exiting.has(intent.mint);
+            if (intent.type !== 'entry') return true;
+            if (entering.has(intent.mint)) return false;
+            entering.add(intent.mint);
+            return true;
+        });
+    }
+}
+
+module.exports = new StrategyRegistry();
+module.exports.Strategy = Strategy;
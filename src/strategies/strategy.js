@@ -0,0 +1,56 @@
+const logger = require('../logger');
+
+// Base class for trading strategies. Each cycle the bot calls evaluate() with a context:
+//
+//   candidates  - discovery candidates (DexScreener pairs) found this cycle
+//   marketData  - { solPriceUsd, prices: Map<mint, priceUsd> } for open positions
+//   positions   - open positions, each tagged with the strategy that opened it
+//   now         - current time in ms, passed in so backtests can replay history
+//
+// and gets back intents:
+//
+//   { type: 'entry',  strategy, mint, token, reason }
+//   { type: 'exit',   strategy, mint, reason, urgency? }
+//   { type: 'resize', strategy, mint, changePct, reason }  positive adds to the position
+//                                                          as a % of its cost, negative
+//                                                          sells that % of the tokens held
+//
+// Subclasses override the entries/exits/resizes hooks they need. Stop-loss, take-profit,
+// trailing and time stops are enforced by positionMonitor using options.exitRules.
+class Strategy {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.exitRules = options.exitRules || {};
+        // Backtests run strategies thousands of times; quiet keeps them out of the logs
+        this.log = options.quiet ? () => {} : message => logger.high(message);
+    }
+
+    entries(context) {
+        return [];
+    }
+
+    exits(context) {
+        return [];
+    }
+
+    resizes(context) {
+        return [];
+    }
+
+    // Positions this strategy is responsible for
+    ownPositions(positions) {
+        return positions.filter(position => position.strategy === this.name);
+    }
+
+    evaluate(context) {
+        const ownContext = { ...context, positions: this.ownPositions(context.positions) };
+        return [
+            ...this.exits(ownContext).map(intent => ({ ...intent, type: 'exit' })),
+            ...this.resizes(ownContext).map(intent => ({ ...intent, type: 'resize' })),
+            ...this.entries(context).map(intent => ({ ...intent, type: 'entry' }))
+        ].map(intent => ({ ...intent, strategy: this.name }));
+    }
+}
+
+module.exports = Strategy;
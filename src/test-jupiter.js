@@ -33,7 +33,7 @@ async function testJupiterApi() {
             logger.high('Quote received successfully:');
             logger.high(`- Input Amount: ${amount / 1000000} USDC`);
             logger.high(`- Output Amount: ${quote.outAmount}`);
-            logger.high(`- Price Impact: ${(quote.priceImpact * 100).toFixed(2)}%`);
+            logger.high(`- Jupiter Price Impact Estimate: ${jupiterApi.calculatePriceImpact(quote)}%`);
             
             if (quote.routePlan && quote.routePlan.length > 0) {
                 logger.high(`- Route Length: ${quote.routePlan.length} hop(s)`);
@@ -61,6 +61,18 @@ async function testJupiterApi() {
             }
         }
 
+        // Test depth probing up to 100 USDC
+        logger.high('\nMeasuring liquidity depth...');
+        const depth = await jupiterApi.measureDepth(USDC_MINT, testToken.address, 100 * 1000000);
+
+        if (depth) {
+            logger.high('Depth curve:');
+            depth.curve.forEach(point => {
+                logger.high(`- ${point.amount / 1000000} USDC: ${point.impactPct.toFixed(2)}% impact`);
+            });
+            logger.high(`- Largest size under ${depth.targetImpactPct}% impact: ${depth.maxSizeUnderTarget / 1000000} USDC`);
+        }
+
     } catch (error) {
         logger.error(`Test suite failed: ${error.message}`);
         throw error;
@@ -0,0 +1,46 @@
+const jupiterApi = require('./jupiterApi');
+const paperTrader = require('./paperTrader');
+const mergedTokenDiscovery = require('./mergedTokenDiscovery');
+const config = require('./config');
+const logger = require('./logger');
+
+async function testPaperTrading() {
+    logger.high('Starting paper trading test');
+
+    const startingBalance = await paperTrader.getBalance();
+    logger.high(`Paper balance before trading: ${startingBalance} SOL`);
+
+    // Use the top discovered token as the test subject
+    const discoveredTokens = await mergedTokenDiscovery.discoverTokens();
+    if (discoveredTokens.length === 0) {
+        throw new Error('No tokens discovered to paper trade');
+    }
+
+    const testToken = discoveredTokens[0];
+    logger.high(`Paper trading ${testToken.symbol} (${testToken.address})`);
+
+    // Buy 0.01 SOL worth of the token
+    const buyQuote = await jupiterApi.getQuote(config.SOL_MINT, testToken.address, 0.01 * 1e9);
+    const buy = await paperTrader.executeSwap(buyQuote);
+    if (!buy) {
+        throw new Error('Paper buy failed');
+    }
+    logger.high(`Paper buy filled: ${buy.outAmount} tokens for ${buy.inAmount} lamports`);
+
+    // Sell everything back to SOL
+    const tokenBalance = await paperTrader.getTokenBalance(testToken.address);
+    const sellQuote = await jupiterApi.getQuote(testToken.address, config.SOL_MINT, tokenBalance);
+    const sell = await paperTrader.executeSwap(sellQuote);
+    if (!sell) {
+        throw new Error('Paper sell failed');
+    }
+    logger.high(`Paper sell filled: ${sell.outAmount} lamports for ${sell.inAmount} tokens`);
+
+    const endingBalance = await paperTrader.getBalance();
+    logger.high(`Paper balance after round trip: ${endingBalance} SOL (${(endingBalance - startingBalance).toFixed(6)} SOL)`);
+}
+
+testPaperTrading().catch(error => {
+    logger.error(`Test failed: ${error.message}`);
+    process.exit(1);
+});
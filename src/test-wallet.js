@@ -16,6 +16,16 @@ async function testWallet() {
     if (balance !== null) {
         logger.high(`Successfully retrieved balance: ${balance} SOL`);
     }
+
+    // Test token holdings enumeration and valuation
+    const holdings = await wallet.getTokenHoldings();
+    if (holdings !== null) {
+        logger.high(`Successfully retrieved ${holdings.length} token accounts`);
+        holdings.forEach(holding => {
+            const value = holding.valueUsd !== null ? `$${holding.valueUsd.toFixed(2)} (${holding.valueSol?.toFixed(4)} SOL)` : 'unpriced';
+            logger.high(`- ${holding.mint}: ${holding.uiAmount} (${value})`);
+        });
+    }
 }
 
 testWallet().catch(error => {
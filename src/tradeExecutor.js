@@ -0,0 +1,101 @@
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const jupiterApi = require('./jupiterApi');
+const paperTrader = require('./paperTrader');
+const honeypotCheck = require('./honeypotCheck');
+const riskManager = require('./riskManager');
+
+// Single entry point for trades; routes fills to the live wallet or the paper ledger
+// depending on config.TRADING_MODE so callers never need to know which one is active
+class TradeExecutor {
+    constructor() {
+        this.mode = config.TRADING_MODE === 'live' ? 'live' : 'paper';
+    }
+
+    isLive() {
+        return this.mode === 'live';
+    }
+
+    getBackend() {
+        return this.isLive() ? jupiterApi : paperTrader;
+    }
+
+    // Live balances can be read from another registered wallet; paper mode has a single ledger
+    async getBalance(signer = wallet) {
+        return this.isLive() ? signer.getBalance() : paperTrader.getBalance();
+    }
+
+    async getTokenBalance(mint, signer = wallet) {
+        return this.isLive() ? signer.getTokenBalance(mint) : paperTrader.getTokenBalance(mint);
+    }
+
+    async getTokenHoldings(signer = wallet) {
+        return this.isLive() ? signer.getTokenHoldings({ includeValue: false }) : paperTrader.getTokenHoldings();
+    }
+
+    async executeSwap(quote, options = {}) {
+        logger.deep(`Executing ${this.mode} swap`);
+        return this.getBackend().executeSwap(quote, options);
+    }
+
+    // Swaps whose outcome was unknown (RPC unreachable) that have since been found to have
+    // landed, as { fill, details }; paper fills are always known
+    async resolveUnknownSwaps(mint = null) {
+        return this.isLive() ? jupiterApi.resolveUnknownSwaps(mint) : [];
+    }
+
+    hasUnknownSwap(mint) {
+        return this.isLive() && jupiterApi.hasUnknownSwap(mint);
+    }
+
+    // Quote and execute a swap between two mints
+    async swap(inputMint, outputMint, amount, options = {}) {
+        try {
+            const quote = await jupiterApi.getQuote(inputMint, outputMint, amount, jupiterApi.slippageBps, options.constraints);
+            if (!quote) {
+                throw new Error(`No quote for ${amount} ${inputMint} -> ${outputMint}`);
+            }
+            return await this.executeSwap(quote, options);
+        } catch (error) {
+            logger.error(`Failed to swap ${inputMint} -> ${outputMint}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Buy a token with the given amount of lamports, after checking it passes the risk
+    // limits and can be sold back. Pass { strategy } so per-strategy exposure is enforced.
+    async buy(tokenMint, lamports, options = {}) {
+        logger.high(`[${this.mode}] Buying ${tokenMint} with ${lamports / 1e9} SOL`);
+
+        const risk = riskManager.checkEntry({
+            mint: tokenMint,
+            lamports: Number(lamports),
+            strategy: options.strategy,
+            balanceSol: await this.getBalance(options.wallet)
+        });
+        if (!risk.allowed) {
+            logger.high(`Skipping buy of ${tokenMint}: ${risk.reason}`);
+            return null;
+        }
+
+        if (config.HONEYPOT_CHECK_ENABLED && !options.skipSellabilityCheck) {
+            const check = await honeypotCheck.check(tokenMint, lamports);
+            if (!check.passed) {
+                logger.high(`Skipping buy of ${tokenMint}: ${check.reason}`);
+                return null;
+            }
+        }
+
+        return this.swap(config.SOL_MINT, tokenMint, lamports, options);
+    }
+
+    // Sell a raw token amount back to SOL; exits default to normal urgency, pass
+    // { urgency: 'emergency' } when the exit has to land during a dump
+    async sell(tokenMint, amount, options = {}) {
+        logger.high(`[${this.mode}] Selling ${amount} of ${tokenMint}`);
+        return this.swap(tokenMint, config.SOL_MINT, amount, options);
+    }
+}
+
+module.exports = new TradeExecutor();
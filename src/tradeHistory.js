@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const Decimal = require('decimal.js');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const jupiterApi = require('./jupiterApi');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rebuilds the wallet's trade history from chain data so PnL does not depend on the
+// bot's own records. Each transaction is classified from the wallet's balance changes:
+//   swap     - SOL or a token went out and a different token came in
+//   transfer - tokens or SOL only moved in or only moved out
+//   rent     - only token accounts were opened or closed (e.g. rent reclamation)
+//   fee      - nothing changed except the network fee (failed or no-op transactions)
+//
+// Rent for token accounts a transaction opens or closes is reported separately as
+// rentLamports and kept out of the SOL change, as JupiterApi.executeSwap does for fills.
+class TradeHistory {
+    constructor() {
+        this.pageSize = 1000;
+        this.requestDelayMs = 100; // Spacing between getParsedTransaction calls for public RPCs
+        this.dustLamports = 10000; // Ignore SOL changes below this when classifying (rent, tips)
+    }
+
+    getCacheFile(owner) {
+        return path.join(config.DATA_DIR, `trade_history_${owner}.json`);
+    }
+
+    loadCache(owner) {
+        const cacheFile = this.getCacheFile(owner);
+        try {
+            return fs.existsSync(cacheFile)
+                ? JSON.parse(fs.readFileSync(cacheFile, 'utf8'))
+                : { transactions: {} };
+        } catch (error) {
+            logger.error(`Failed to load trade history cache: ${error.message}`);
+            return { transactions: {} };
+        }
+    }
+
+    saveCache(owner, cache) {
+        const cacheFile = this.getCacheFile(owner);
+        fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+        fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+    }
+
+    // Walk getSignaturesForAddress back from the newest signature until `until` or `limit`
+    async getSignatures(connection, address, { until = null, limit = Infinity } = {}) {
+        const signatures = [];
+        let before;
+
+        while (signatures.length < limit) {
+            const page = await connection.getSignaturesForAddress(address, {
+                before,
+                until: until || undefined,
+                limit: Math.min(this.pageSize, limit - signatures.length)
+            });
+            if (page.length === 0) break;
+
+            signatures.push(...page);
+            before = page[page.length - 1].signature;
+        }
+
+        return signatures;
+    }
+
+    // Net token and SOL changes for the owner in a parsed transaction
+    getBalanceChanges(transaction, owner) {
+        const { meta } = transaction;
+        const changes = new Map();
+        const decimals = new Map();
+
+        const apply = (balances, sign) => (balances || [])
+            .filter(balance => balance.owner === owner)
+            .forEach(balance => {
+                const current = changes.get(balance.mint) || new Decimal(0);
+                changes.set(balance.mint, current.plus(new Decimal(balance.uiTokenAmount.amount).times(sign)));
+                decimals.set(balance.mint, balance.uiTokenAmount.decimals);
+            });
+
+        apply(meta.preTokenBalances, -1);
+        apply(meta.postTokenBalances, 1);
+
+        const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toString());
+        const ownerIndex = accountKeys.indexOf(owner);
+        const feePayer = accountKeys[0] === owner;
+        const feeLamports = feePayer ? meta.fee : 0;
+
+        // Native SOL change excluding the fee and token account rent; wrapped SOL is folded into SOL
+        const rentLamports = jupiterApi.getRentChange(transaction, owner);
+        let lamportChange = ownerIndex === -1
+            ? new Decimal(0)
+            : new Decimal(meta.postBalances[ownerIndex]).minus(meta.preBalances[ownerIndex]).plus(feeLamports).plus(rentLamports);
+        if (changes.has(config.SOL_MINT)) {
+            lamportChange = lamportChange.plus(changes.get(config.SOL_MINT));
+            changes.delete(config.SOL_MINT);
+        }
+
+        const tokenChanges = [...changes.entries()]
+            .filter(([, amount]) => !amount.isZero())
+            .map(([mint, amount]) => ({
+                mint,
+                amount: amount.toFixed(0),
+                uiAmount: amount.div(Decimal.pow(10, decimals.get(mint))).toNumber()
+            }));
+
+        return { tokenChanges, lamportChange, feeLamports, rentLamports };
+    }
+
+    classify(transaction, owner) {
+        const { tokenChanges, lamportChange, feeLamports, rentLamports } = this.getBalanceChanges(transaction, owner);
+        const solMoved = lamportChange.abs().gt(this.dustLamports);
+        const legs = [
+            ...tokenChanges.map(change => ({ mint: change.mint, amount: new Decimal(change.amount) })),
+            ...(solMoved ? [{ mint: config.SOL_MINT, amount: lamportChange }] : [])
+        ];
+
+        const outgoing = legs.filter(leg => leg.amount.lt(0));
+        const incoming = legs.filter(leg => leg.amount.gt(0));
+
+        let type = 'fee';
+        if (outgoing.length > 0 && incoming.length > 0) {
+            type = 'swap';
+        } else if (outgoing.length > 0 || incoming.length > 0) {
+            type = 'transfer';
+        } else if (!rentLamports.isZero()) {
+            type = 'rent';
+        }
+
+        const record = {
+            signature: transaction.transaction.signatures[0],
+            slot: transaction.slot,
+            timestamp: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null,
+            type,
+            failed: Boolean(transaction.meta.err),
+            feeLamports,
+            // Positive when token accounts were opened, negative when their rent came back
+            rentLamports: Number(rentLamports),
+            solChangeLamports: lamportChange.toFixed(0),
+            tokenChanges
+        };
+
+        if (type === 'swap') {
+            // Normalize to a trade on one token against SOL where possible
+            const tokenLeg = tokenChanges.find(change => change.mint !== config.SOL_MINT);
+            const isBuy = tokenLeg && new Decimal(tokenLeg.amount).gt(0);
+            record.trade = {
+                side: isBuy ? 'buy' : 'sell',
+                mint: tokenLeg ? tokenLeg.mint : null,
+                tokenAmount: tokenLeg ? new Decimal(tokenLeg.amount).abs().toFixed(0) : null,
+                tokenUiAmount: tokenLeg ? Math.abs(tokenLeg.uiAmount) : null,
+                // SOL spent on a buy or received from a sell, before the network fee and rent
+                solAmountLamports: lamportChange.abs().toFixed(0),
+                // True when the swap was token-to-token, so SOL cost cannot be read off the chain
+                tokenToToken: !solMoved
+            };
+        }
+
+        return record;
+    }
+
+    // Reconstruct the normalized history for the wallet, newest first. Parsed transactions
+    // and the signature list are cached on disk; later runs only walk signatures newer than
+    // the newest cached one. A run cut short by options.limit does not move that marker.
+    async rebuild(options = {}) {
+        try {
+            const signer = options.wallet || wallet;
+            if (!signer.keypair) {
+                throw new Error('Wallet not initialized');
+            }
+
+            const owner = signer.keypair.publicKey.toString();
+            const cache = this.loadCache(owner);
+            const fresh = (await this.getSignatures(signer.connection, signer.keypair.publicKey, {
+                until: cache.newestSignature || null,
+                limit: options.limit
+            })).map(entry => entry.signature);
+
+            let signatures = fresh;
+            if (fresh.length < (options.limit ?? Infinity)) {
+                signatures = [...fresh, ...(cache.signatures || [])];
+                cache.signatures = signatures;
+                cache.newestSignature = signatures[0] || null;
+            }
+            logger.high(`Rebuilding trade history from ${signatures.length} signatures (${fresh.length} new)`);
+
+            let fetched = 0;
+            for (const signature of signatures) {
+                // Records cached before rent was split out are classified again
+                if (cache.transactions[signature]?.rentLamports !== undefined) continue;
+
+                const transaction = await signer.connection.getParsedTransaction(signature, {
+                    commitment: 'confirmed',
+                    maxSupportedTransactionVersion: 0
+                });
+                if (!transaction || !transaction.meta) {
+                    logger.error(`Transaction ${signature} could not be fetched`);
+                    continue;
+                }
+
+                cache.transactions[signature] = this.classify(transaction, owner);
+                fetched++;
+                await sleep(this.requestDelayMs);
+            }
+
+            this.saveCache(owner, cache);
+            logger.deep(`Fetched ${fetched} new transactions for trade history`);
+
+            const history = signatures
+                .map(signature => cache.transactions[signature])
+                .filter(Boolean);
+
+            return {
+                transactions: history,
+                trades: history.filter(record => record.type === 'swap' && !record.failed),
+                totalFeesLamports: history.reduce((sum, record) => sum + record.feeLamports, 0),
+                totalRentLamports: history.reduce((sum, record) => sum + record.rentLamports, 0)
+            };
+        } catch (error) {
+            logger.error(`Failed to rebuild trade history: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new TradeHistory();
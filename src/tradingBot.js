@@ -0,0 +1,371 @@
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const walletRegistry = require('./walletRegistry');
+const mergedTokenDiscovery = require('./mergedTokenDiscovery');
+const priceFeed = require('./priceFeed');
+const tradeExecutor = require('./tradeExecutor');
+const strategies = require('./strategies');
+const positionManager = require('./positionManager');
+const positionMonitor = require('./positionMonitor');
+const positionSizing = require('./positionSizing');
+const riskManager = require('./riskManager');
+const orderEngine = require('./orderEngine');
+const rentReclaimer = require('./rentReclaimer');
+const marketDataRecorder = require('./marketDataRecorder');
+const analytics = require('./analytics');
+
+// Main runtime: discovers tokens every TRADE_INTERVAL_MS, runs the configured strategies
+// over the candidates, executes their intents and re-checks open positions between scans
+class TradingBot {
+    constructor() {
+        this.scanIntervalMs = config.TRADE_INTERVAL_MS;
+        this.monitorIntervalMs = config.POSITION_CHECK_INTERVAL_MS || 30000;
+        this.maxOpenPositions = config.MAX_OPEN_POSITIONS || 5;
+
+        this.running = false;
+        this.stopping = false;
+        this.scanning = false;
+        this.monitoring = false;
+        this.monitorRun = null;
+        this.scanTimer = null;
+        this.monitorTimer = null;
+        this.sweepTimer = null;
+
+        // Trades that have been submitted and must finish before shutdown
+        this.inFlight = new Set();
+    }
+
+    async initialize() {
+        logger.high(`Initializing trading bot in ${tradeExecutor.mode} mode`);
+
+        const walletReady = wallet.initialize(await wallet.getPassphrase());
+        if (!walletReady && tradeExecutor.isLive()) {
+            throw new Error('Wallet failed to initialize; live trading cannot start');
+        }
+        if (walletReady) {
+            await walletRegistry.loadFromConfig();
+        } else {
+            logger.high('No wallet available, continuing in paper mode');
+        }
+
+        strategies.loadFromConfig();
+        await mergedTokenDiscovery.ensureMoralisInitialized();
+
+        const balance = await tradeExecutor.getBalance();
+        logger.high(`Starting balance: ${balance} SOL`);
+
+        logger.high(`Restored ${positionManager.size} open positions`);
+        positionManager.reconcile(await this.getTokenHoldings());
+    }
+
+    async start() {
+        if (this.running) return;
+
+        await this.initialize();
+        this.running = true;
+
+        this.scanTimer = setInterval(() => this.runScan(), this.scanIntervalMs);
+        this.monitorTimer = setInterval(() => this.monitorPositions(), this.monitorIntervalMs);
+        orderEngine.start();
+        marketDataRecorder.start();
+        if (tradeExecutor.isLive()) {
+            rentReclaimer.start(() => ({ excludeMints: positionManager.getOpenPositions().map(position => position.mint) }));
+            if (walletRegistry.getByRole('reserve').length > 0) {
+                const sweepIntervalMs = config.SWEEP_INTERVAL_MS || 24 * 60 * 60 * 1000;
+                this.sweepTimer = setInterval(() => this.track(walletRegistry.sweepAll()), sweepIntervalMs);
+            }
+        }
+        logger.high(`Trading bot started (scan every ${this.scanIntervalMs / 1000}s, monitor every ${this.monitorIntervalMs / 1000}s)`);
+
+        await this.runScan();
+    }
+
+    // Register a trade so shutdown waits for it. The bookkeeping chain swallows the
+    // rejection since the caller awaits (and handles) the original promise.
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise)).catch(() => {});
+        return promise;
+    }
+
+    // Registry entry of the wallet a strategy trades from (see walletRegistry.js), or null
+    // for the default wallet in paper mode or when no wallets are registered
+    getStrategyWallet(strategyName) {
+        if (!tradeExecutor.isLive() || walletRegistry.wallets.size === 0) return null;
+        return walletRegistry.getWalletForStrategy(strategyName);
+    }
+
+    // Wallet holding a position; positions without one were opened with the default wallet
+    getPositionWallet(position) {
+        if (!tradeExecutor.isLive() || !position.wallet) return null;
+        return walletRegistry.wallets.get(position.wallet) || null;
+    }
+
+    // Signers that can hold positions: every registered trading and strategy wallet, or
+    // just the default wallet (paper mode, no registry)
+    getSigners() {
+        if (!tradeExecutor.isLive() || walletRegistry.wallets.size === 0) return [wallet];
+        return [...walletRegistry.wallets.values()]
+            .filter(entry => entry.role !== 'reserve' && entry.manager)
+            .map(entry => entry.manager);
+    }
+
+    // Token holdings of all signers combined, or null when any of them could not be read
+    async getTokenHoldings() {
+        const holdings = [];
+        for (const signer of this.getSigners()) {
+            const signerHoldings = await tradeExecutor.getTokenHoldings(signer);
+            if (!signerHoldings) return null;
+            holdings.push(...signerHoldings);
+        }
+        return holdings;
+    }
+
+    // Win rate and payoff ratio of the strategy's closed trades, for Kelly sizing
+    getSizingStats(strategyName) {
+        const closed = positionManager.getClosedPositions().filter(position => position.strategy === strategyName);
+        return analytics.sizingStats(analytics.fromPositions(closed), config.POSITION_SIZING.kellyMinTrades);
+    }
+
+    // Cost of the open positions held by a wallet, for its exposure and budget limits
+    getWalletExposureSol(walletName) {
+        return positionManager.getOpenPositions()
+            .filter(position => (position.wallet || wallet.name) === walletName)
+            .reduce((sum, position) => sum + position.costLamports, 0) / 1e9;
+    }
+
+    // Apply the wallet's own limits to a buy of lamports; true when it may go ahead
+    checkWalletLimits(walletEntry, mint, lamports) {
+        if (!walletEntry) return true;
+        const limits = walletRegistry.checkLimits(walletEntry.name, lamports / 1e9, this.getWalletExposureSol(walletEntry.name));
+        if (!limits.allowed) {
+            logger.high(`Skipping buy of ${mint}: ${limits.reason}`);
+        }
+        return limits.allowed;
+    }
+
+    // Current prices of open positions for the strategies' exit checks
+    async getMarketData() {
+        const prices = new Map();
+        for (const position of positionManager.getOpenPositions()) {
+            const price = await priceFeed.getTokenPriceUsd(position.mint);
+            if (price) {
+                prices.set(position.mint, price.priceUsd);
+            }
+        }
+        return { solPriceUsd: await priceFeed.getSolPriceUsd(), prices };
+    }
+
+    // SOL balance of every signer plus open positions, marked to market where a price is
+    // known and at cost otherwise. Null when a balance could not be read.
+    async getEquityLamports(prices = new Map()) {
+        let balance = 0;
+        for (const signer of this.getSigners()) {
+            const signerBalance = await tradeExecutor.getBalance(signer);
+            if (signerBalance === null || signerBalance === undefined) {
+                return null;
+            }
+            balance += signerBalance;
+        }
+        const positionValue = positionManager.getOpenPositions().reduce((sum, position) => {
+            const price = prices.get(position.mint);
+            const cost = position.avgCostUsd || position.entryPriceUsd;
+            return sum + (price && cost ? position.costLamports * price / cost : position.costLamports);
+        }, 0);
+        return Math.floor(balance * 1e9 + positionValue);
+    }
+
+    // Record swaps that were sent while the RPC was unreachable and turned out to land, so
+    // positions reflect them before any decision is made
+    async resolveUnknownSwaps() {
+        for (const { fill, details } of await tradeExecutor.resolveUnknownSwaps()) {
+            await positionManager.recordSwap(fill, {
+                ...details,
+                solPriceUsd: await priceFeed.getSolPriceUsd()
+            });
+        }
+    }
+
+    // Exit rules first, then strategy intents
+    async runCycle(candidates) {
+        await this.resolveUnknownSwaps();
+
+        const context = {
+            candidates,
+            marketData: await this.getMarketData(),
+            positions: positionManager.getOpenPositions(),
+            now: Date.now()
+        };
+
+        // A failed balance read must not look like a drawdown to the breaker
+        const equityLamports = await this.getEquityLamports(context.marketData.prices);
+        if (equityLamports === null) {
+            logger.error('Balance unavailable, equity not recorded this cycle');
+        } else {
+            riskManager.recordEquity(equityLamports, context.now);
+        }
+
+        const ruleExits = positionMonitor.check(context.positions, context.marketData.prices, context.now);
+        const decisions = this.decide([...ruleExits, ...strategies.evaluate(context)]);
+
+        for (const decision of decisions) {
+            if (this.stopping) break;
+            try {
+                await this.track(this.executeDecision(decision));
+            } catch (error) {
+                logger.error(`[${decision.strategy}] ${decision.type} ${decision.mint} failed: ${error.message}`);
+            }
+        }
+        return decisions;
+    }
+
+    async runScan() {
+        if (this.scanning || this.stopping) return;
+        this.scanning = true;
+
+        try {
+            // Cycles run one at a time: a monitor cycle still waiting on an exit would
+            // otherwise see the same position and exit it again
+            if (this.monitorRun) {
+                await this.monitorRun;
+            }
+            if (this.stopping) return;
+
+            if (riskManager.isPaused()) {
+                // Exits keep running from the position monitor
+                logger.high(`Scan skipped, trading paused: ${riskManager.getBreaker().reason}`);
+                return;
+            }
+
+            logger.high('Starting scan');
+            const candidates = await mergedTokenDiscovery.getRecentTokens();
+            const decisions = await this.runCycle(candidates);
+            logger.high(`Scan found ${candidates.length} candidates, ${decisions.length} decisions`);
+        } catch (error) {
+            logger.error(`Scan failed: ${error.message}`);
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    // Cap entry intents at the open position limit. Only the first exit for
+    // a position is kept and resizes of exiting positions are dropped.
+    decide(intents) {
+        const slots = Math.max(0, this.maxOpenPositions - positionManager.size);
+        const entries = intents
+            .filter(intent => intent.type === 'entry' && !positionManager.has(intent.mint))
+            .slice(0, slots);
+
+        const exiting = new Set();
+        const exits = intents.filter(intent => {
+            if (intent.type !== 'exit' || exiting.has(intent.mint)) return false;
+            exiting.add(intent.mint);
+            return true;
+        });
+        const resizes = intents.filter(intent => intent.type === 'resize' && !exiting.has(intent.mint));
+
+        return [...exits, ...resizes, ...entries];
+    }
+
+    async executeDecision(decision) {
+        // Until an earlier swap's outcome is known the position may not match the chain
+        if (tradeExecutor.hasUnknownSwap(decision.mint)) {
+            logger.high(`Skipping ${decision.type} of ${decision.mint}: an earlier swap's outcome is still unknown`);
+            return;
+        }
+
+        const position = positionManager.get(decision.mint);
+        const walletEntry = position ? this.getPositionWallet(position) : this.getStrategyWallet(decision.strategy);
+        const signer = walletEntry?.manager;
+        let side;
+        let fill;
+
+        if (decision.type === 'entry') {
+            const equityLamports = await this.getEquityLamports();
+            if (equityLamports === null) {
+                logger.error(`Skipping entry into ${decision.mint}: balance unavailable`);
+                return;
+            }
+            const sizing = await positionSizing.size(decision.mint, {
+                token: decision.token,
+                equityLamports,
+                stats: this.getSizingStats(decision.strategy),
+                settings: strategies.get(decision.strategy)?.options.sizing
+            });
+            if (!sizing || sizing.lamports === 0) {
+                logger.high(`Skipping entry into ${decision.mint}: no viable size`);
+                return;
+            }
+            if (!this.checkWalletLimits(walletEntry, decision.mint, sizing.lamports)) return;
+            side = 'buy';
+            fill = await tradeExecutor.buy(decision.mint, sizing.lamports, { strategy: decision.strategy, wallet: signer });
+        } else if (!position) {
+            return;
+        } else if (decision.type === 'resize' && !(Number.isFinite(decision.changePct) && decision.changePct !== 0)) {
+            logger.error(`[${decision.strategy}] Ignoring resize of ${decision.mint} with invalid changePct ${decision.changePct}`);
+            return;
+        } else if (decision.type === 'exit') {
+            side = 'sell';
+            fill = await tradeExecutor.sell(position.mint, position.tokenAmount, { urgency: decision.urgency, wallet: signer });
+        } else if (decision.changePct > 0) {
+            side = 'buy';
+            const lamports = Math.floor(position.costLamports * decision.changePct / 100);
+            if (!this.checkWalletLimits(walletEntry, position.mint, lamports)) return;
+            fill = await tradeExecutor.buy(position.mint, lamports, { strategy: position.strategy, skipSellabilityCheck: true, wallet: signer });
+        } else {
+            side = 'sell';
+            const basisPoints = Math.min(10000, Math.round(-decision.changePct * 100));
+            const amount = BigInt(position.tokenAmount) * BigInt(basisPoints) / 10000n;
+            fill = await tradeExecutor.sell(position.mint, amount.toString(), { wallet: signer });
+        }
+        if (!fill) return;
+
+        const updated = await positionManager.recordFill(decision.mint, fill, {
+            side,
+            strategy: decision.strategy,
+            symbol: decision.token?.baseToken?.symbol,
+            wallet: walletEntry?.name || null,
+            priceUsd: parseFloat(decision.token?.priceUsd) || null,
+            solPriceUsd: await priceFeed.getSolPriceUsd(),
+            pairCreatedAt: decision.token?.pairCreatedAt
+        });
+        logger.high(`[${decision.strategy}] ${decision.type} ${updated?.symbol || decision.mint} (${decision.reason})`);
+    }
+
+    // Between scans, check open positions against their exit rules and strategies
+    async monitorPositions() {
+        if (this.monitoring || this.scanning || this.stopping || positionManager.size === 0) return;
+        this.monitoring = true;
+
+        this.monitorRun = this.runCycle([])
+            .catch(error => logger.error(`Position monitoring failed: ${error.message}`))
+            .finally(() => {
+                this.monitoring = false;
+                this.monitorRun = null;
+            });
+        await this.monitorRun;
+    }
+
+    // Stop scheduling new work and wait for submitted trades to finish
+    async stop() {
+        if (this.stopping) return;
+        this.stopping = true;
+
+        clearInterval(this.scanTimer);
+        clearInterval(this.monitorTimer);
+        clearInterval(this.sweepTimer);
+        marketDataRecorder.stop();
+
+        if (this.inFlight.size > 0) {
+            logger.high(`Waiting for ${this.inFlight.size} in-flight trade(s) to finish`);
+        }
+        // Order and reclaim swaps in flight must record their outcome before exit
+        await Promise.allSettled([...this.inFlight, orderEngine.stop(), rentReclaimer.stop()]);
+
+        this.running = false;
+        logger.high(`Trading bot stopped with ${positionManager.size} open position(s)`);
+    }
+}
+
+module.exports = new TradingBot();
@@ -0,0 +1,181 @@
+const { TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const logger = require('./logger');
+const wallet = require('./wallet');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sends signed transactions and keeps rebroadcasting them until they confirm or their
+// blockhash expires. All modules that submit transactions should go through this class
+// rather than calling sendRawTransaction themselves.
+//
+// Every send resolves to one of these outcomes:
+//   { status: 'confirmed', signature, slot, attempts }
+//   { status: 'failed', signature, error, logs, attempts }   - landed but a program returned an error
+//   { status: 'expired', signature, attempts }               - never landed before the last valid block height
+//   { status: 'unknown', signature, lastValidBlockHeight, error, attempts }
+//                                                            - RPC unreachable, may or may not have landed
+//
+// RPC errors while sending or polling (rate limits, timeouts) do not end a send: the
+// transaction may still land, so polling continues until its blockhash has expired. Only
+// when the RPC stays unreachable past maxPendingMs does a send give up as 'unknown'. The
+// caller must not treat that as a failure: look the signature up with lookup() once the
+// RPC is back.
+class TransactionSender {
+    constructor() {
+        this.connection = wallet.connection;
+        this.rebroadcastIntervalMs = 2000;
+        this.maxAttempts = 3; // How many times a dropped transaction is rebuilt and re-signed
+        this.commitment = 'confirmed';
+        this.maxPendingMs = 3 * 60 * 1000; // Give up when the block height is unknown for this long
+    }
+
+    // Submit a built transaction, rebuilding it when it expires without landing.
+    // buildTransaction(attempt) must return { transaction, lastValidBlockHeight } with a
+    // freshly signed transaction; on later attempts it should re-quote and re-sign.
+    async sendAndConfirm(buildTransaction, options = {}) {
+        const maxAttempts = options.maxAttempts || this.maxAttempts;
+        let outcome = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let built;
+            try {
+                built = await buildTransaction(attempt);
+            } catch (error) {
+                logger.error(`Failed to build transaction (attempt ${attempt}): ${error.message}`);
+                return { status: 'failed', signature: outcome?.signature || null, error: error.message, logs: [], attempts: attempt };
+            }
+
+            outcome = await this.submit(built.transaction, built.lastValidBlockHeight);
+            outcome.attempts = attempt;
+
+            if (outcome.status !== 'expired') {
+                return outcome;
+            }
+
+            logger.high(`Transaction ${outcome.signature} expired before landing (attempt ${attempt}/${maxAttempts})`);
+        }
+
+        logger.error(`Transaction dropped after ${maxAttempts} attempts`);
+        return outcome;
+    }
+
+    // Broadcast a single signed transaction until it lands or its blockhash expires
+    async submit(transaction, lastValidBlockHeight) {
+        const rawTransaction = transaction.serialize();
+        // The signature is known before sending, so a failed first send can still be tracked
+        const signature = bs58.default.encode(transaction.signatures[0]);
+        const broadcast = async () => {
+            try {
+                await this.connection.sendRawTransaction(rawTransaction, {
+                    skipPreflight: true,
+                    maxRetries: 0
+                });
+                return true;
+            } catch (error) {
+                logger.deep(`Broadcast of ${signature} failed: ${error.message}`);
+                return false;
+            }
+        };
+
+        if (await broadcast()) {
+            logger.deep(`Transaction sent: ${signature} (valid until block height ${lastValidBlockHeight})`);
+        }
+
+        let lastHeightAt = Date.now();
+        let lastError = null;
+
+        while (true) {
+            try {
+                const status = await this.getStatus(signature);
+                if (status) {
+                    return status;
+                }
+
+                const blockHeight = await this.connection.getBlockHeight(this.commitment);
+                lastHeightAt = Date.now();
+                if (blockHeight > lastValidBlockHeight) {
+                    // The transaction may have landed in the last few blocks, check once more
+                    return (await this.getStatus(signature)) || { status: 'expired', signature };
+                }
+
+                if (await broadcast()) {
+                    logger.deep(`Rebroadcast transaction ${signature} at block height ${blockHeight}`);
+                }
+            } catch (error) {
+                lastError = error.message;
+                logger.error(`RPC error while confirming ${signature}: ${error.message}`);
+                if (Date.now() - lastHeightAt > this.maxPendingMs) {
+                    return { status: 'unknown', signature, lastValidBlockHeight, error: `RPC unavailable: ${lastError}` };
+                }
+            }
+
+            await sleep(this.rebroadcastIntervalMs);
+        }
+    }
+
+    // Resolve an 'unknown' outcome: confirmed or failed when it landed, expired once its
+    // blockhash has passed without it, and still unknown while pending or the RPC is down
+    async lookup(signature, lastValidBlockHeight) {
+        try {
+            const status = await this.getStatus(signature);
+            if (status) {
+                return status;
+            }
+
+            const blockHeight = await this.connection.getBlockHeight(this.commitment);
+            if (blockHeight > lastValidBlockHeight) {
+                return (await this.getStatus(signature)) || { status: 'expired', signature };
+            }
+            return { status: 'unknown', signature, lastValidBlockHeight, error: 'Still pending' };
+        } catch (error) {
+            logger.error(`RPC error while looking up ${signature}: ${error.message}`);
+            return { status: 'unknown', signature, lastValidBlockHeight, error: `RPC unavailable: ${error.message}` };
+        }
+    }
+
+    // Confirmed or failed outcome for a signature, or null while it is still pending
+    async getStatus(signature) {
+        const { value } = await this.connection.getSignatureStatuses([signature]);
+        const status = value[0];
+
+        if (!status || !['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+            return null;
+        }
+
+        if (status.err) {
+            const transaction = await this.connection.getTransaction(signature, {
+                commitment: this.commitment,
+                maxSupportedTransactionVersion: 0
+            });
+            const logs = transaction?.meta?.logMessages || [];
+            logger.error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+            return { status: 'failed', signature, error: status.err, logs, slot: status.slot };
+        }
+
+        logger.deep(`Transaction ${signature} confirmed in slot ${status.slot}`);
+        return { status: 'confirmed', signature, slot: status.slot };
+    }
+
+    // Build, sign and send a transaction from plain instructions with a fresh blockhash on every attempt
+    async sendInstructions(instructions, signers = [wallet.keypair], options = {}) {
+        if (!signers.length || !signers[0]) {
+            throw new Error('Wallet not initialized');
+        }
+
+        return this.sendAndConfirm(async () => {
+            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+            const message = new TransactionMessage({
+                payerKey: signers[0].publicKey,
+                recentBlockhash: blockhash,
+                instructions
+            }).compileToV0Message();
+
+            const transaction = new VersionedTransaction(message);
+            transaction.sign(signers);
+            return { transaction, lastValidBlockHeight };
+        }, options);
+    }
+}
+
+module.exports = new TransactionSender();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Decimal = require('decimal.js');
+const config = require('./config');
+const logger = require('./logger');
+const jupiterApi = require('./jupiterApi');
+const tradeExecutor = require('./tradeExecutor');
+const riskManager = require('./riskManager');
+const positionManager = require('./positionManager');
+const priceFeed = require('./priceFeed');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Splits a large swap into child swaps over time (TWAP/iceberg). Each child is sized from
+// the current depth curve so it stays under the target impact, and the run aborts if the
+// price moves against us by more than maxPriceMovePct from the arrival price.
+class TwapExecutor {
+    constructor() {
+        this.intervalMs = config.TWAP_INTERVAL_MS || 30000;
+        this.maxPriceMovePct = config.TWAP_MAX_PRICE_MOVE_PCT || 10;
+        this.maxSlices = 20;
+        this.minChildFraction = 0.01; // Smallest child as a share of the total, so thin pools do not fill in dust
+        this.runs = new Map();
+    }
+
+    // Price in input units per output unit, so a higher price is always worse for us
+    getPrice(inAmount, outAmount) {
+        return new Decimal(inAmount).div(outAmount);
+    }
+
+    // Stop a running TWAP after its current slice. Callers pick the run id up front
+    // (execute({ id })) or pass an AbortSignal (execute({ signal })) instead.
+    abort(runId) {
+        const run = this.runs.get(runId);
+        if (!run) {
+            return false;
+        }
+        run.abortRequested = true;
+        logger.high(`TWAP ${runId} abort requested`);
+        return true;
+    }
+
+    // Size of the next child swap: the largest size under the target impact, with a small
+    // floor against dust. A pool too thin to fill within maxSlices ends the run there.
+    async getChildSize(run, remaining) {
+        const minimum = new Decimal(run.totalAmount).times(this.minChildFraction).ceil();
+
+        const depth = await jupiterApi.measureDepth(run.inputMint, run.outputMint, remaining.toFixed(0), {
+            targetImpactPct: run.targetImpactPct,
+            steps: 4
+        });
+        const underTarget = depth ? new Decimal(depth.maxSizeUnderTarget) : new Decimal(0);
+
+        return Decimal.min(remaining, Decimal.max(minimum, underTarget));
+    }
+
+    async execute({
+        inputMint,
+        outputMint,
+        totalAmount,
+        intervalMs = this.intervalMs,
+        maxSlices = this.maxSlices,
+        maxPriceMovePct = this.maxPriceMovePct,
+        targetImpactPct = jupiterApi.targetImpactPct,
+        swapOptions = {},
+        id = crypto.randomUUID(),
+        signal = null
+    }) {
+        if (this.runs.has(id)) {
+            throw new Error(`TWAP ${id} is already running`);
+        }
+
+        const run = {
+            id,
+            inputMint,
+            outputMint,
+            totalAmount: String(totalAmount),
+            maxSlices,
+            targetImpactPct,
+            fills: [],
+            status: 'running',
+            reason: null,
+            abortRequested: false
+        };
+        this.runs.set(run.id, run);
+        signal?.addEventListener('abort', () => this.abort(run.id), { once: true });
+        if (signal?.aborted) {
+            run.abortRequested = true;
+        }
+
+        try {
+            logger.high(`TWAP ${run.id}: swapping ${totalAmount} ${inputMint} -> ${outputMint} in up to ${maxSlices} slices`);
+
+            // Buys with SOL are entries and must pass the risk limits as a whole
+            if (inputMint === config.SOL_MINT) {
+                const risk = riskManager.checkEntry({
+                    mint: outputMint,
+                    lamports: Number(totalAmount),
+                    strategy: swapOptions.strategy,
+                    balanceSol: await tradeExecutor.getBalance(swapOptions.wallet)
+                });
+                if (!risk.allowed) {
+                    throw new Error(`Blocked by risk limits: ${risk.reason}`);
+                }
+            }
+
+            const arrivalQuote = await jupiterApi.getReferenceQuote(inputMint, outputMint, totalAmount);
+            if (!arrivalQuote) {
+                throw new Error('Could not get an arrival price quote');
+            }
+            run.arrivalPrice = this.getPrice(arrivalQuote.inAmount, arrivalQuote.outAmount);
+
+            let remaining = new Decimal(totalAmount);
+            while (remaining.gt(0)) {
+                if (run.abortRequested) {
+                    run.status = 'aborted';
+                    run.reason = 'Abort requested';
+                    break;
+                }
+                if (run.fills.length >= maxSlices) {
+                    run.status = 'aborted';
+                    run.reason = `Reached ${maxSlices} slices with ${remaining} left`;
+                    break;
+                }
+
+                const childSize = await this.getChildSize(run, remaining);
+                const quote = await jupiterApi.getQuote(inputMint, outputMint, childSize.toFixed(0), jupiterApi.slippageBps, swapOptions.constraints);
+                if (!quote) {
+                    throw new Error(`No quote for child of ${childSize}`);
+                }
+
+                // Compare the child's price with arrival; impact is excluded by using the
+                // reference quote, so only market movement counts towards the limit
+                const referenceQuote = await jupiterApi.getReferenceQuote(inputMint, outputMint, childSize.toFixed(0));
+                const currentPrice = referenceQuote
+                    ? this.getPrice(referenceQuote.inAmount, referenceQuote.outAmount)
+                    : this.getPrice(quote.inAmount, quote.outAmount);
+                const movePct = currentPrice.minus(run.arrivalPrice).div(run.arrivalPrice).times(100).toNumber();
+                if (movePct > maxPriceMovePct) {
+                    run.status = 'aborted';
+                    run.reason = `Price moved ${movePct.toFixed(2)}% against arrival (limit ${maxPriceMovePct}%)`;
+                    break;
+                }
+
+                const fill = await tradeExecutor.executeSwap(quote, swapOptions);
+                if (!fill || new Decimal(fill.inAmount).lte(0)) {
+                    throw new Error(`Child swap of ${childSize} failed`);
+                }
+
+                run.fills.push({ ...fill, timestamp: new Date().toISOString() });
+                await positionManager.recordSwap(fill, {
+                    strategy: swapOptions.strategy || null,
+                    wallet: swapOptions.wallet?.name || null,
+                    solPriceUsd: await priceFeed.getSolPriceUsd()
+                });
+                remaining = remaining.minus(fill.inAmount);
+                logger.high(`TWAP ${run.id}: filled slice ${run.fills.length} (${fill.inAmount} in, ${fill.outAmount} out), ${remaining} left`);
+
+                if (remaining.gt(0)) {
+                    await sleep(intervalMs);
+                }
+            }
+
+            if (run.status === 'running') {
+                run.status = 'completed';
+            }
+        } catch (error) {
+            logger.error(`TWAP ${run.id} failed: ${error.message}`);
+            run.status = 'failed';
+            run.reason = error.message;
+        } finally {
+            this.runs.delete(run.id);
+        }
+
+        return this.buildReport(run);
+    }
+
+    buildReport(run) {
+        const filledIn = run.fills.reduce((sum, fill) => sum.plus(fill.inAmount), new Decimal(0));
+        const filledOut = run.fills.reduce((sum, fill) => sum.plus(fill.outAmount), new Decimal(0));
+        const averagePrice = filledOut.gt(0) ? this.getPrice(filledIn, filledOut) : null;
+
+        const report = {
+            id: run.id,
+            status: run.status,
+            reason: run.reason,
+            inputMint: run.inputMint,
+            outputMint: run.outputMint,
+            totalAmount: run.totalAmount,
+            filledIn: filledIn.toFixed(0),
+            filledOut: filledOut.toFixed(0),
+            slices: run.fills.length,
+            feeLamports: run.fills.reduce((sum, fill) => sum + (fill.feeLamports || 0), 0),
+            arrivalPrice: run.arrivalPrice ? run.arrivalPrice.toNumber() : null,
+            averagePrice: averagePrice ? averagePrice.toNumber() : null,
+            // Implementation shortfall: how much worse the average fill was than arrival
+            shortfallPct: averagePrice && run.arrivalPrice
+                ? averagePrice.minus(run.arrivalPrice).div(run.arrivalPrice).times(100).toNumber()
+                : null,
+            fills: run.fills
+        };
+
+        logger.high(`TWAP ${run.id} ${report.status}: ${report.slices} slices, shortfall ${report.shortfallPct !== null ? report.shortfallPct.toFixed(2) + '%' : 'N/A'}`);
+        logger.token(JSON.stringify(report, null, 2));
+        return report;
+    }
+}
+
+module.exports = new TwapExecutor();
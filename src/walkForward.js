@@ -0,0 +1,131 @@
+const logger = require('./logger');
+const backtester = require('./backtester');
+const optimizer = require('./optimizer');
+const strategies = require('./strategies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Walk-forward validation: the recorded history is split into rolling windows, the
+// parameters are re-optimized on each in-sample window, then judged on the out-of-sample
+// window that follows it. Comparing the two shows how much in-sample results overstate
+// what the parameters would have earned on data they were not fitted to.
+//
+//   |---- in-sample ----|-- out --|
+//             |---- in-sample ----|-- out --|      (advanced by stepMs)
+class WalkForward {
+    constructor() {
+        this.defaults = {
+            inSampleMs: 3 * DAY_MS,
+            outOfSampleMs: DAY_MS,
+            method: 'random',
+            objective: 'sharpe',
+            samples: 50
+        };
+    }
+
+    // Window returns are compared per day since in-sample windows are longer
+    dailyReturnPct(summary, windowMs) {
+        return summary.returnPct / (windowMs / DAY_MS);
+    }
+
+    average(values) {
+        const finite = values.filter(Number.isFinite);
+        return finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+    }
+
+    // options: { inSampleMs, outOfSampleMs, stepMs, method, objective, samples, seed,
+    // strategyName, from, to, backtest }. Returns per-window results and the aggregate.
+    async run(options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const stepMs = settings.stepMs || settings.outOfSampleMs;
+        const strategyName = settings.strategyName || 'ageMomentum';
+        const objective = optimizer.OBJECTIVES[settings.objective];
+        if (!objective) {
+            throw new Error(`Unknown objective: ${settings.objective}`);
+        }
+
+        const ticks = await backtester.loadTicks(settings);
+        if (ticks.length === 0) {
+            throw new Error('No recorded pair snapshots in the requested range');
+        }
+
+        const first = ticks[0].timestamp;
+        // The last tick covers a whole scan interval, so the data ends one interval after
+        // it (or at the requested end, if that comes first)
+        const scanIntervalMs = settings.scanIntervalMs || backtester.defaults.scanIntervalMs;
+        const dataEnd = Math.min(ticks[ticks.length - 1].timestamp + scanIntervalMs, settings.to || Infinity);
+        const slice = (from, to) => ticks.filter(tick => tick.timestamp >= from && tick.timestamp < to);
+        const windows = [];
+
+        for (let start = first; start + settings.inSampleMs + settings.outOfSampleMs <= dataEnd; start += stepMs) {
+            const splitAt = start + settings.inSampleMs;
+            const end = splitAt + settings.outOfSampleMs;
+            const window = {
+                inSample: { from: new Date(start).toISOString(), to: new Date(splitAt).toISOString() },
+                outOfSample: { from: new Date(splitAt).toISOString(), to: new Date(end).toISOString() }
+            };
+
+            const optimization = await optimizer.optimize({
+                method: settings.method,
+                objective: settings.objective,
+                samples: settings.samples,
+                seed: settings.seed,
+                minTrades: settings.minTrades,
+                strategyName,
+                backtest: settings.backtest,
+                ticks: slice(start, splitAt)
+            });
+
+            const best = optimization.ranked[0];
+            if (!best) {
+                logger.high(`Walk-forward window ${window.inSample.from}: no parameter set qualified, skipping`);
+                windows.push({ ...window, skipped: true });
+                continue;
+            }
+
+            const outReport = await backtester.run({
+                ...(settings.backtest || {}),
+                ticks: slice(splitAt, end),
+                strategy: strategies.create(strategyName, { ...best.strategyOptions, quiet: true })
+            });
+
+            windows.push({
+                ...window,
+                params: best.params,
+                inSampleScore: best.score,
+                outOfSampleScore: objective(outReport),
+                inSampleSummary: best.summary,
+                outOfSampleSummary: outReport.summary,
+                inSampleDailyReturnPct: this.dailyReturnPct(best.summary, settings.inSampleMs),
+                outOfSampleDailyReturnPct: this.dailyReturnPct(outReport.summary, settings.outOfSampleMs)
+            });
+            logger.high(`Walk-forward window ${window.outOfSample.from}: in-sample ${best.score.toFixed(4)}, out-of-sample ${objective(outReport).toFixed(4)} (${settings.objective})`);
+        }
+
+        const evaluated = windows.filter(window => !window.skipped);
+        const inSampleDaily = this.average(evaluated.map(window => window.inSampleDailyReturnPct));
+        const outOfSampleDaily = this.average(evaluated.map(window => window.outOfSampleDailyReturnPct));
+        const inSampleScore = this.average(evaluated.map(window => window.inSampleScore));
+        const outOfSampleScore = this.average(evaluated.map(window => window.outOfSampleScore));
+
+        const aggregate = {
+            windows: windows.length,
+            evaluatedWindows: evaluated.length,
+            objective: settings.objective,
+            inSampleScore,
+            outOfSampleScore,
+            inSampleDailyReturnPct: inSampleDaily,
+            outOfSampleDailyReturnPct: outOfSampleDaily,
+            // How much better in-sample looked than out-of-sample, per day of return
+            overstatementDailyReturnPct: inSampleDaily !== null && outOfSampleDaily !== null ? inSampleDaily - outOfSampleDaily : null,
+            // Share of in-sample return that carried over; near 1 is robust, near 0 or negative is overfit
+            walkForwardEfficiency: inSampleDaily ? outOfSampleDaily / inSampleDaily : null,
+            outOfSampleTrades: evaluated.reduce((sum, window) => sum + window.outOfSampleSummary.trades, 0)
+        };
+
+        logger.high(`Walk-forward: ${evaluated.length} windows, in-sample ${inSampleDaily?.toFixed(3)}%/day vs out-of-sample ${outOfSampleDaily?.toFixed(3)}%/day`);
+        return { strategyName, settings: { ...settings, stepMs }, windows, aggregate };
+    }
+}
+
+module.exports = new WalkForward();
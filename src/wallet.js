@@ -1,23 +1,70 @@
-const { Connection, Keypair } = require('@solana/web3.js');
+const { Connection, Keypair, PublicKey } = require('@solana/web3.js');
 const bs58 = require('bs58');  // Changed import syntax
 const config = require('./config');
 const logger = require('./logger');
+const priceFeed = require('./priceFeed');
+const keystore = require('./keystore');
+const { promptHidden } = require('./prompt');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
 
 class WalletManager {
-    constructor() {
-        this.connection = new Connection(config.SOLANA_RPC_URL);
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        // Wallets created without a key source fall back to the configured default wallet
+        const useDefaults = !options.privateKey && !options.keystorePath;
+        this.keystorePath = options.keystorePath || (useDefaults ? config.KEYSTORE_PATH : null);
+        this.privateKey = options.privateKey || (useDefaults && !this.keystorePath ? config.SOLANA_PRIVATE_KEY : null);
+        // Environment variable holding the keystore passphrase of a registry wallet
+        this.passphraseEnv = options.passphraseEnv || null;
+        this.connection = new Connection(options.rpcUrl || config.SOLANA_RPC_URL);
         this.keypair = null;
     }
 
-    initialize() {
+    // Passphrase for the keystore. The default wallet uses KEYSTORE_PASSPHRASE when set and
+    // otherwise asks on the terminal. Registry wallets always ask on a terminal and read
+    // their passphraseEnv variable only without one (e.g. under a process manager).
+    // Keeping the passphrase in .env puts it in the same dotfile the keystore is meant to
+    // keep the key out of, so the prompt is the recommended way to start live.
+    async getPassphrase() {
+        const envName = this.passphraseEnv || 'KEYSTORE_PASSPHRASE';
+        const fromEnv = this.passphraseEnv ? process.env[this.passphraseEnv] : config.KEYSTORE_PASSPHRASE;
+        if (!this.keystorePath) {
+            return fromEnv;
+        }
+
+        const canPrompt = Boolean(process.stdin.isTTY);
+        if (fromEnv && !(this.passphraseEnv && canPrompt)) {
+            return fromEnv;
+        }
+        if (!canPrompt) {
+            logger.error(`No ${envName} and no terminal to prompt on; cannot unlock ${this.keystorePath}`);
+            return undefined;
+        }
+        return promptHidden(`Passphrase for ${this.name} (${this.keystorePath}): `);
+    }
+
+    // Unlock the wallet from its encrypted keystore, or from a plaintext base58 key in
+    // paper mode. Live trading refuses to start while a plaintext key is configured.
+    initialize(passphrase = config.KEYSTORE_PASSPHRASE) {
         try {
-            if (!config.SOLANA_PRIVATE_KEY) {
+            if (config.TRADING_MODE === 'live' && (this.privateKey || config.SOLANA_PRIVATE_KEY)) {
+                throw new Error('Plaintext private key is set; move it into an encrypted keystore (src/keystoreCli.js import) and remove SOLANA_PRIVATE_KEY before live trading');
+            }
+
+            if (this.keystorePath) {
+                this.keypair = keystore.unlock(this.keystorePath, passphrase);
+            } else if (this.privateKey) {
+                const privateKeyBytes = bs58.default.decode(this.privateKey.trim());
+                this.keypair = Keypair.fromSecretKey(privateKeyBytes);
+            } else {
                 throw new Error('Solana private key not found in configuration');
             }
-            
-            const privateKeyBytes = bs58.default.decode(config.SOLANA_PRIVATE_KEY.trim());
-            this.keypair = Keypair.fromSecretKey(privateKeyBytes);
-            logger.high(`Wallet initialized with public key: ${this.keypair.publicKey.toString()}`);
+
+            // The decrypted key is only kept in the keypair
+            this.privateKey = null;
+            logger.high(`Wallet ${this.name} initialized with public key: ${this.keypair.publicKey.toString()}`);
             return true;
         } catch (error) {
             logger.error(`Failed to initialize wallet: ${error.message}`);
@@ -40,6 +87,93 @@ class WalletManager {
             return null;
         }
     }
+
+    // Raw balance of an SPL token held by the wallet, summed over its token accounts
+    async getTokenBalance(mint) {
+        try {
+            if (!this.keypair) {
+                throw new Error('Wallet not initialized');
+            }
+
+            const response = await this.connection.getParsedTokenAccountsByOwner(
+                this.keypair.publicKey,
+                { mint: new PublicKey(mint) }
+            );
+            const balance = response.value.reduce(
+                (sum, account) => sum + BigInt(account.account.data.parsed.info.tokenAmount.amount),
+                BigInt(0)
+            );
+            logger.deep(`Current balance of ${mint}: ${balance}`);
+            return balance.toString();
+        } catch (error) {
+            logger.error(`Failed to get token balance for ${mint}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Every SPL and Token-2022 account owned by the wallet, valued in SOL and USD
+    // unless options.includeValue is false. Empty accounts are included unvalued.
+    async getTokenHoldings(options = {}) {
+        try {
+            if (!this.keypair) {
+                throw new Error('Wallet not initialized');
+            }
+
+            const includeValue = options.includeValue !== false;
+            const holdings = [];
+
+            for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+                const response = await this.connection.getParsedTokenAccountsByOwner(
+                    this.keypair.publicKey,
+                    { programId }
+                );
+
+                response.value.forEach(({ pubkey, account }) => {
+                    const info = account.data.parsed.info;
+                    holdings.push({
+                        account: pubkey.toString(),
+                        programId: programId.toString(),
+                        mint: info.mint,
+                        amount: info.tokenAmount.amount,
+                        decimals: info.tokenAmount.decimals,
+                        uiAmount: info.tokenAmount.uiAmount || 0,
+                        lamports: account.lamports,
+                        priceUsd: null,
+                        valueUsd: null,
+                        valueSol: null,
+                        priceSource: null
+                    });
+                });
+            }
+
+            if (includeValue) {
+                const solPriceUsd = await priceFeed.getSolPriceUsd();
+
+                for (const holding of holdings) {
+                    if (holding.amount === '0') continue;
+
+                    const price = await priceFeed.getTokenPriceUsd(holding.mint);
+                    if (!price) continue;
+
+                    holding.priceUsd = price.priceUsd;
+                    holding.priceSource = price.source;
+                    holding.valueUsd = holding.uiAmount * price.priceUsd;
+                    if (price.priceSol) {
+                        holding.valueSol = holding.uiAmount * price.priceSol;
+                    } else if (solPriceUsd) {
+                        holding.valueSol = holding.valueUsd / solPriceUsd;
+                    }
+                }
+            }
+
+            logger.deep(`Found ${holdings.length} token accounts`);
+            return holdings;
+        } catch (error) {
+            logger.error(`Failed to get token holdings: ${error.message}`);
+            return null;
+        }
+    }
 }
 
-module.exports = new WalletManager();
\ No newline at end of file
+module.exports = new WalletManager();
+module.exports.WalletManager = WalletManager;
\ No newline at end of file
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const config = require('./config');
+const logger = require('./logger');
+const wallet = require('./wallet');
+const transactionSender = require('./transactionSender');
+
+const { WalletManager } = wallet;
+
+const ROLES = ['trading', 'reserve', 'strategy'];
+
+// Named wallets with roles and per-wallet limits:
+//   trading  - hot wallet used for trades by default
+//   reserve  - cold wallet that only receives swept profits; a public key is enough
+//   strategy - wallet dedicated to one or more strategies
+//
+// Wallets are read from the JSON file named by WALLETS_FILE. Private keys are never kept
+// in that file; each entry points at an encrypted keystore, whose passphrase is asked for
+// on the terminal (or read from passphraseEnv when there is none), or (paper mode only)
+// the environment variable holding a plaintext key:
+//   [{ "name": "hot", "role": "trading", "keystorePath": "keys/hot.json",
+//      "passphraseEnv": "HOT_WALLET_PASSPHRASE",
+//      "budgetSol": 2, "maxExposureSol": 1.5, "maxPositionSol": 0.25 },
+//    { "name": "reserve", "role": "reserve", "publicKey": "..." },
+//    { "name": "sniper", "role": "strategy", "privateKeyEnv": "SNIPER_KEY",
+//      "strategies": ["ageMomentum"], "budgetSol": 0.5 }]
+class WalletRegistry {
+    constructor() {
+        this.wallets = new Map();
+        this.strategyWallets = new Map();
+        this.sweepFeeReserveSol = config.SWEEP_FEE_RESERVE_SOL || 0.01;
+        this.minSweepSol = config.MIN_SWEEP_SOL || 0.05;
+    }
+
+    register({ name, role, privateKey = null, keystorePath = null, passphrase = null, publicKey = null, budgetSol = null, maxExposureSol = null, maxPositionSol = null, strategies = [] }, manager = null) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown wallet role "${role}" for wallet ${name}`);
+        }
+        if (this.wallets.has(name)) {
+            throw new Error(`Wallet ${name} is already registered`);
+        }
+
+        let walletManager = manager;
+        if (!walletManager && (privateKey || keystorePath)) {
+            walletManager = new WalletManager({ name, privateKey, keystorePath });
+            if (!walletManager.initialize(passphrase)) {
+                throw new Error(`Failed to initialize wallet ${name}`);
+            }
+        }
+
+        const address = walletManager?.keypair
+            ? walletManager.keypair.publicKey.toString()
+            : publicKey;
+        if (!address) {
+            throw new Error(`Wallet ${name} needs a private key or a public key`);
+        }
+        if (role !== 'reserve' && !walletManager?.keypair) {
+            throw new Error(`Wallet ${name} with role ${role} needs a private key`);
+        }
+
+        const entry = { name, role, address, manager: walletManager, budgetSol, maxExposureSol, maxPositionSol };
+        this.wallets.set(name, entry);
+        strategies.forEach(strategy => this.assignStrategy(strategy, name));
+
+        logger.high(`Registered ${role} wallet ${name} (${address})`);
+        return entry;
+    }
+
+    // Register the default wallet plus every wallet in WALLETS_FILE
+    async loadFromConfig() {
+        if (wallet.keypair && !this.wallets.has(wallet.name)) {
+            this.register({ name: wallet.name, role: 'trading' }, wallet);
+        }
+
+        if (!config.WALLETS_FILE) {
+            return this.wallets;
+        }
+
+        const definitions = JSON.parse(fs.readFileSync(config.WALLETS_FILE, 'utf8'));
+        for (const definition of definitions) {
+            const privateKey = definition.privateKeyEnv ? process.env[definition.privateKeyEnv] : null;
+            if (definition.privateKeyEnv && !privateKey) {
+                throw new Error(`Environment variable ${definition.privateKeyEnv} for wallet ${definition.name} is not set`);
+            }
+
+            let manager = null;
+            if (definition.keystorePath) {
+                manager = new WalletManager({
+                    name: definition.name,
+                    keystorePath: definition.keystorePath,
+                    passphraseEnv: definition.passphraseEnv
+                });
+                if (!manager.initialize(await manager.getPassphrase())) {
+                    throw new Error(`Failed to initialize wallet ${definition.name}`);
+                }
+            }
+            this.register({ ...definition, privateKey }, manager);
+        }
+
+        return this.wallets;
+    }
+
+    get(name) {
+        const entry = this.wallets.get(name);
+        if (!entry) {
+            throw new Error(`Unknown wallet ${name}`);
+        }
+        return entry;
+    }
+
+    getByRole(role) {
+        return [...this.wallets.values()].filter(entry => entry.role === role);
+    }
+
+    assignStrategy(strategyName, walletName) {
+        const entry = this.get(walletName);
+        if (entry.role === 'reserve') {
+            throw new Error(`Cannot assign strategy ${strategyName} to reserve wallet ${walletName}`);
+        }
+        this.strategyWallets.set(strategyName, walletName);
+        logger.deep(`Strategy ${strategyName} assigned to wallet ${walletName}`);
+    }
+
+    // Wallet a strategy trades from: its assigned wallet, else the first trading wallet
+    getWalletForStrategy(strategyName) {
+        const walletName = this.strategyWallets.get(strategyName);
+        if (walletName) {
+            return this.get(walletName);
+        }
+
+        const [trading] = this.getByRole('trading');
+        if (!trading) {
+            throw new Error(`No wallet available for strategy ${strategyName}`);
+        }
+        return trading;
+    }
+
+    // Check a new entry of sizeSol against a wallet's limits given its current open exposure
+    checkLimits(walletName, sizeSol, currentExposureSol = 0) {
+        const entry = this.get(walletName);
+
+        if (entry.maxPositionSol !== null && sizeSol > entry.maxPositionSol) {
+            return { allowed: false, reason: `Position ${sizeSol} SOL exceeds ${entry.name} max position ${entry.maxPositionSol} SOL` };
+        }
+        if (entry.maxExposureSol !== null && currentExposureSol + sizeSol > entry.maxExposureSol) {
+            return { allowed: false, reason: `Exposure ${(currentExposureSol + sizeSol).toFixed(4)} SOL exceeds ${entry.name} limit ${entry.maxExposureSol} SOL` };
+        }
+        if (entry.budgetSol !== null && currentExposureSol + sizeSol > entry.budgetSol) {
+            return { allowed: false, reason: `Wallet ${entry.name} budget of ${entry.budgetSol} SOL exhausted` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    // Move SOL above a wallet's budget to the reserve wallet
+    async sweepProfits(walletName, reserveName = null) {
+        try {
+            const entry = this.get(walletName);
+            if (entry.role === 'reserve') {
+                throw new Error(`Cannot sweep from reserve wallet ${walletName}`);
+            }
+            if (entry.budgetSol === null) {
+                throw new Error(`Wallet ${walletName} has no budget to sweep above`);
+            }
+
+            const reserve = reserveName ? this.get(reserveName) : this.getByRole('reserve')[0];
+            if (!reserve || reserve.role !== 'reserve') {
+                throw new Error('No reserve wallet registered');
+            }
+
+            const balance = await entry.manager.getBalance();
+            if (balance === null) {
+                throw new Error(`Could not read balance of ${walletName}`);
+            }
+
+            const sweepSol = balance - entry.budgetSol - this.sweepFeeReserveSol;
+            if (sweepSol < this.minSweepSol) {
+                logger.deep(`Nothing to sweep from ${walletName} (balance ${balance} SOL, budget ${entry.budgetSol} SOL)`);
+                return { status: 'skipped', walletName, sweptSol: 0 };
+            }
+
+            const lamports = Math.floor(sweepSol * 1e9);
+            const instruction = SystemProgram.transfer({
+                fromPubkey: entry.manager.keypair.publicKey,
+                toPubkey: new PublicKey(reserve.address),
+                lamports
+            });
+
+            const outcome = await transactionSender.sendInstructions([instruction], [entry.manager.keypair]);
+            if (outcome.status !== 'confirmed') {
+                throw new Error(`Sweep transaction ${outcome.status}: ${JSON.stringify(outcome.error || '')}`);
+            }
+
+            logger.high(`Swept ${lamports / 1e9} SOL from ${walletName} to ${reserve.name} (${outcome.signature})`);
+            return { status: 'confirmed', walletName, sweptSol: lamports / 1e9, signature: outcome.signature };
+        } catch (error) {
+            logger.error(`Failed to sweep profits from ${walletName}: ${error.message}`);
+            return { status: 'failed', walletName, sweptSol: 0, error: error.message };
+        }
+    }
+
+    // Sweep every trading and strategy wallet that has a budget
+    async sweepAll() {
+        const results = [];
+        for (const entry of this.wallets.values()) {
+            if (entry.role !== 'reserve' && entry.budgetSol !== null) {
+                results.push(await this.sweepProfits(entry.name));
+            }
+        }
+        return results;
+    }
+}
+
+module.exports = new WalletRegistry();